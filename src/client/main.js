@@ -13,18 +13,41 @@ const fixedTimeStep = 1.0 / 60.0; // 60 fps physics
 // WebSocket setup
 let socket;
 let clientId = null;
+let positionUpdateTimer = null; // Pending sendPositionUpdate, so a reconnect replaces the loop instead of starting a second one
+const RECONNECT_BASE_DELAY = 2000; // First reconnect attempt after a dropped connection (ms)
+const RECONNECT_MAX_DELAY = 60000; // Reconnect attempts back off up to this delay (ms)
+let reconnectAttempts = 0; // Failed attempts since we were last connected
+let maintenanceUntil = 0; // When (performance.now() ms) the server expects to be back after announcing a shutdown
+let playerProfile = null; // Persistent profile loaded by the server
+let wireEncoding = 'json'; // Encoding for high-frequency messages, negotiated in the welcome message
+const preferJsonWire = new URLSearchParams(window.location.search).has('json'); // Add ?json to the page URL to debug with JSON
+const PROFILE_STORAGE_KEY = 'underwaterOdysseyProfileId';
+const SESSION_STORAGE_KEY = 'underwaterOdysseySessionToken'; // Per-tab, so two tabs don't fight over one diver
+const APPEARANCE_STORAGE_KEY = 'underwaterOdysseyAppearance'; // Last name and suit picked on the join screen
+let currentRoom = roomFromPath(window.location.pathname); // Room to connect to, from a /rooms/<name> page URL (null for the default room)
+let currentRoomKey = new URLSearchParams(window.location.search).get('key'); // Key for a private room, from ?key= in the page URL
+let requestedRoomKey = null; // Key sent with our last /room command, kept once the server lets us in
+let joinChoice = null; // {name, color, style} picked on the join screen, sent in a join message once connected
+const playerAppearances = new Map(); // Map of clientId to {name, color, style} for every diver we've heard about
+const suitGeometries = new Map(); // Map of suit style to shared geometry
 
 // Keyboard state for direct movement control
 const keyState = {
     ArrowUp: false,
     ArrowDown: false,
     ArrowLeft: false,
-    ArrowRight: false
+    ArrowRight: false,
+    Ascend: false,
+    Dive: false,
+    Sprint: false
 };
+const KEY_CODE_BINDINGS = { KeyE: 'Ascend', KeyQ: 'Dive', ShiftLeft: 'Sprint', ShiftRight: 'Sprint' }; // Physical keys, whatever the layout
+const { MOVE_SPEED, SPRINT_MULTIPLIER, MIN_PLAYER_Y, MAX_PLAYER_Y } = Movement; // Swimming, shared with the server
 
 // Chunk system variables
-const CHUNK_SIZE = 16; // Size of each chunk in world units
+const CHUNK_SIZE = WorldGen.CHUNK_SIZE; // Size of each chunk in world units
 const LOAD_RADIUS = 2; // Number of chunks to load in each direction
+let worldSeed = null; // World generation seed, sent by the server in the welcome message
 const loadedChunks = new Map(); // Map of loaded chunks, key is "x,z" string
 let currentPlayerChunk = { x: 0, z: 0 }; // Current chunk the player is in
 
@@ -35,13 +58,50 @@ const otherPlayers = new Map(); // Map of clientId to player mesh
 const fishEntities = new Map(); // Map of fishId to fish data and mesh
 const fishChunkGroups = new Map(); // Map of "chunkX,chunkZ" keys to THREE.Group objects for fish
 let lastFishUpdateTime = 0; // Track when we last got fish updates from the server
+const speciesCatalogue = new Map(); // Map of species ID to species definition, loaded from /shared/species.json
+const speciesVisuals = new Map(); // Map of species ID to the shared {bodyGeometry, tailGeometry, material} its fish are drawn with
+const FISH_TAIL_BEAT_SPEEDS = { idle: 6, curious: 3, fleeing: 20, hunting: 14 }; // Tail beat (radians/second) for each behaviour
+const SPECIES_MODELS = { // Body proportions (x = width, y = height, z = length) for each species model
+    round: { x: 0.8, y: 0.9, z: 1 },
+    flat: { x: 0.35, y: 1, z: 1 },
+    long: { x: 0.45, y: 0.45, z: 2 }
+};
+
+// Delta snapshots: the server sends quantized changes against a snapshot we acknowledged
+const POSITION_SCALE = 100; // Should match server POSITION_SCALE
+const VELOCITY_SCALE = 100; // Should match server VELOCITY_SCALE
+const OXYGEN_SCALE = 100; // Should match server OXYGEN_SCALE
+
+// Oxygen HUD
+const LOW_OXYGEN = 0.3; // Warn the diver below this fraction of a full tank
+const CRITICAL_OXYGEN = 0.1;
+const BLACKOUT_MESSAGE_DURATION = 5000; // How long (ms) the blackout notice stays up
+let blackoutMessageUntil = 0;
+const SNAPSHOT_HISTORY = 32; // Max snapshots kept as possible baselines
+const snapshotHistory = new Map(); // Map of snapshot seq to reconstructed {players, fish} in quantized form
+let awaitingFullSnapshot = false; // True after we asked the server for a full snapshot
+
+// Fishing
+const CAST_RANGE = 8; // Should match server cast range
+const fishingLines = new Map(); // Map of clientId to {line, fishId} for every line in the water
+let localCast = null; // Our own catch attempt {fishId, hooked}, or null when not fishing
+
+// Chat
+const CHAT_MAX_LENGTH = 200; // Should match server MAX_MESSAGE_LENGTH
+const CHAT_SCROLLBACK = 50; // Oldest chat lines are dropped beyond this many
+const SPEECH_BUBBLE_DURATION = 6000; // How long (ms) a speech bubble floats above a diver
+const CHAT_CHANNEL_LABELS = { global: 'Global', proximity: 'Nearby' };
 
 // Environmental effects
 let waterShaderMaterial;
 let waterSurface;
 let planktonParticles;
 let underwaterFog;
+let ambientLight;
 let soundManager;
+let currentBiome = null; // Biome the player is swimming in, from the shared biome map
+const BIOME_BLEND_RATE = 1.5; // How quickly fog and lighting ease into a new biome (per second)
+const coralMaterials = new Map(); // Map of coral colour to shared material
 let lastUpdateTime = 0;
 
 // Initialize ThreeJS and Cannon.js
@@ -82,7 +142,7 @@ function initializeGame() {
         renderer.setPixelRatio(window.devicePixelRatio);
         
         // Create lights
-        const ambientLight = new THREE.AmbientLight(0x555566, 0.6);
+        ambientLight = new THREE.AmbientLight(0x555566, 0.6);
         scene.add(ambientLight);
         
         const directionalLight = new THREE.DirectionalLight(0xaaccff, 0.8);
@@ -94,6 +154,13 @@ function initializeGame() {
         physicsWorld.gravity.set(0, 0, 0); // No gravity for underwater
         physicsWorld.defaultContactMaterial.friction = 0.0;
         physicsWorld.defaultContactMaterial.restitution = 0.3;
+        physicsWorld.broadphase = new CANNON.SAPBroadphase(physicsWorld); // Chunks add a lot of static coral bodies
+        
+        // Sea floor collider, matching the server
+        const seafloorBody = new CANNON.Body({ mass: 0, shape: new CANNON.Plane() });
+        seafloorBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        seafloorBody.position.set(0, WorldGen.SEAFLOOR_Y, 0);
+        physicsWorld.addBody(seafloorBody);
         
         // Create player (green cube)
         const playerGeometry = new THREE.BoxGeometry(1, 1, 1);
@@ -153,6 +220,7 @@ function initializeGame() {
         // Start the game
         window.addEventListener('resize', onWindowResize);
         setupKeyboardControls();
+        setupChat();
         
         // Initialize first chunks
         updateChunks();
@@ -234,8 +302,9 @@ function initPlanktonParticles() {
 // Initialize underwater fog
 function initUnderwaterFog() {
     try {
-        // Add exponential fog for a more realistic underwater look
-        scene.fog = new THREE.FogExp2(0x0a4a9e, 0.02);
+        // Add exponential fog for a more realistic underwater look; it follows depth and biome each frame
+        underwaterFog = new UnderwaterFogEffect(scene, camera);
+        underwaterFog.init(0x0a4a9e);
     } catch (error) {
         console.error('Error initializing underwater fog:', error);
     }
@@ -392,6 +461,7 @@ function animate(time) {
         
         // Update physics world with a fixed time step
         physicsWorld.step(fixedTimeStep);
+        clampToWaterColumn();
         
         // Update player position from physics body
         player.position.copy(playerBody.position);
@@ -419,6 +489,12 @@ function animate(time) {
         // Update fish positions locally between server updates
         updateLocalFishPositions(deltaTime);
         
+        // Keep fishing lines attached to their divers and fish
+        updateFishingLines();
+        
+        // Let speech bubbles fade out
+        updateSpeechBubbles();
+        
         // Update environmental effects
         
         // Update water shader with time
@@ -442,27 +518,8 @@ function animate(time) {
         // Update plankton particles
         updatePlanktonParticles(deltaTime, time);
         
-        // Update fog based on depth
-        if (underwaterFog) {
-            const depth = Math.abs(player.position.y);
-            underwaterFog.updateWithDepth(depth);
-        }
-        
-        // Update UI depth display
-        const depthElement = document.getElementById('environmentInfo');
-        if (depthElement) {
-            const depth = Math.abs(player.position.y).toFixed(1);
-            
-            // Determine biome based on depth
-            let biome = 'Coral Reef';
-            if (depth > 10) {
-                biome = 'Deep Sea';
-            } else if (depth > 5) {
-                biome = 'Mid-Ocean';
-            }
-            
-            depthElement.textContent = `Depth: ${depth}m | Biome: ${biome}`;
-        }
+        // Ease fog and lighting towards the biome we're in
+        updateBiomeEnvironment(deltaTime);
         
         // Render the scene
         renderer.render(scene, camera);
@@ -532,6 +589,33 @@ function updatePlanktonParticles(deltaTime, time) {
     planktonParticles.geometry.attributes.position.needsUpdate = true;
 }
 
+// Look up the player's biome and blend fog and ambient light towards its look
+function updateBiomeEnvironment(deltaTime) {
+    if (worldSeed === null) return;
+    
+    const position = player.position;
+    currentBiome = Biomes.biomeAt(worldSeed, position.x, position.y, position.z);
+    
+    const blend = Math.min(1, deltaTime * BIOME_BLEND_RATE);
+    if (underwaterFog) {
+        underwaterFog.updateWithDepth(WorldGen.SURFACE_Y - position.y, currentBiome.fog, blend);
+    }
+    if (ambientLight) {
+        ambientLight.color.lerp(new THREE.Color(currentBiome.ambientLight.color), blend);
+        ambientLight.intensity += (currentBiome.ambientLight.intensity - ambientLight.intensity) * blend;
+    }
+}
+
+// Shared coral material for each palette colour
+function getCoralMaterial(color) {
+    let material = coralMaterials.get(color);
+    if (!material) {
+        material = new THREE.MeshStandardMaterial({ color: color });
+        coralMaterials.set(color, material);
+    }
+    return material;
+}
+
 // Update UI elements
 function updateUI() {
     const environmentInfo = document.getElementById('environmentInfo');
@@ -539,17 +623,11 @@ function updateUI() {
     const compassIndicator = document.getElementById('compassIndicator');
     
     if (environmentInfo && player) {
-        // Calculate depth based on player Y position
-        const depth = Math.abs(Math.min(player.position.y, 0)).toFixed(1);
+        // Depth is measured down from the water surface
+        const depth = Math.max(0, WorldGen.SURFACE_Y - player.position.y).toFixed(1);
         
-        // Determine biome based on depth and location
-        let biome = 'Coral Reef';
-        if (depth > 5) {
-            biome = 'Mid Ocean';
-        }
-        if (depth > 8) {
-            biome = 'Deep Sea';
-        }
+        // Biome comes from the shared biome map, so it matches what the server spawns here
+        const biome = currentBiome ? currentBiome.name : 'Unknown';
         
         // Update environment info display
         environmentInfo.textContent = `Depth: ${depth}m | Biome: ${biome}`;
@@ -591,8 +669,8 @@ function updateUI() {
 
 // Send player position update to server
 function sendPositionUpdate() {
-    // Only send if we have a valid socket connection and player exists
-    if (socket && socket.readyState === WebSocket.OPEN && player) {
+    // Only send once the server has welcomed us, so a restored position isn't overwritten
+    if (socket && socket.readyState === WebSocket.OPEN && player && clientId !== null) {
         const positionMessage = {
             type: 'movement',
             position: {
@@ -607,11 +685,12 @@ function sendPositionUpdate() {
             }
         };
         
-        socket.send(JSON.stringify(positionMessage));
+        sendMessage(positionMessage);
     }
     
     // Schedule the next update
-    setTimeout(sendPositionUpdate, 50); // Send position updates 20 times per second
+    clearTimeout(positionUpdateTimer);
+    positionUpdateTimer = setTimeout(sendPositionUpdate, 50); // Send position updates 20 times per second
 }
 
 // Connect to WebSocket server
@@ -619,12 +698,24 @@ function connectToServer() {
     // Determine WebSocket URL based on current location
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const host = window.location.host;
-    const wsUrl = `${protocol}//${host}`;
+    
+    // Ask the server to resume our session, or load our saved profile if we have played before
+    const params = new URLSearchParams();
+    params.set('protocolVersion', Protocol.PROTOCOL_VERSION);
+    const sessionToken = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    const profileId = localStorage.getItem(PROFILE_STORAGE_KEY);
+    if (sessionToken) params.set('session', sessionToken);
+    if (profileId) params.set('profile', profileId);
+    if (!preferJsonWire) params.set('encoding', 'binary');
+    if (currentRoomKey) params.set('key', currentRoomKey);
+    const roomPath = currentRoom ? `rooms/${encodeURIComponent(currentRoom)}` : '';
+    const wsUrl = `${protocol}//${host}/${roomPath}?${params.toString()}`;
     
     console.log(`Connecting to WebSocket server at ${wsUrl}`);
     
     // Create WebSocket connection
     socket = new WebSocket(wsUrl);
+    socket.binaryType = 'arraybuffer';
     
     // Connection opened
     socket.addEventListener('open', (event) => {
@@ -639,25 +730,111 @@ function connectToServer() {
     // Handle messages from server
     socket.addEventListener('message', (event) => {
         try {
-            const message = JSON.parse(event.data);
+            const message = event.data instanceof ArrayBuffer
+                ? BinaryProtocol.decode(event.data)
+                : JSON.parse(event.data);
             console.log('Received:', message);
             
+            // Ignore anything that doesn't match the shared message schema
+            const validationError = Protocol.validateServerMessage(message);
+            if (validationError) {
+                console.warn('Ignoring invalid message from server:', validationError.message);
+                return;
+            }
+            
+            // Handle error replies from the server
+            if (message.type === 'error') {
+                console.error(`Server error (${message.code}): ${message.message}`);
+                if (message.requestType === 'chat' || message.requestType === 'joinRoom' || message.code === 'kicked' || message.code === 'rateLimited') {
+                    addChatLine(message.message, 'system');
+                }
+            }
+            
+            // Handle the server going down for maintenance; the socket closes right after this
+            else if (message.type === 'serverShutdown') {
+                maintenanceUntil = performance.now() + message.downtime * 1000;
+                showMaintenanceBanner(`${message.reason} - back in about ${formatDowntime(message.downtime)}`);
+            }
+            
             // Handle welcome message
-            if (message.type === 'welcome') {
+            else if (message.type === 'welcome') {
                 clientId = message.id;
-                console.log(`Assigned client ID: ${clientId}`);
+                reconnectAttempts = 0;
+                maintenanceUntil = 0;
+                hideMaintenanceBanner();
+                console.log(`Assigned client ID: ${clientId}${message.resumed ? ' (resumed session)' : ''}`);
                 document.getElementById('clientId').textContent = clientId;
+                sessionStorage.setItem(SESSION_STORAGE_KEY, message.sessionToken);
+                wireEncoding = message.encoding || 'json';
+                console.log(`Using ${wireEncoding} wire encoding`);
+                setWorldSeed(message.worldSeed);
+                enterRoom(message.room);
+                
+                if (message.profile) {
+                    restoreProfile(message.profile);
+                }
+                
+                // Tell the server who we are; an empty name keeps the one saved in our profile
+                if (joinChoice) {
+                    sendMessage({
+                        type: 'join',
+                        name: joinChoice.name || (message.profile ? message.profile.name : ''),
+                        color: joinChoice.color,
+                        style: joinChoice.style
+                    });
+                }
             }
             
-            // Handle fish initialization
-            else if (message.type === 'fishInit') {
-                console.log('Received fish initialization data:', message.fish);
-                // Initialize all fish entities
-                for (const fishId in message.fish) {
-                    const fish = message.fish[fishId];
-                    createFishEntity(fish);
+            // Handle moving to another room; a resync for the new world follows
+            else if (message.type === 'roomJoined') {
+                playerAppearances.clear();
+                currentRoomKey = requestedRoomKey;
+                setWorldSeed(message.worldSeed);
+                enterRoom(message.room);
+                addChatLine(`You swam into room ${message.room}`, 'system');
+            }
+            
+            // Handle a diver's name or suit changing (including our own)
+            else if (message.type === 'playerAppearance') {
+                const appearance = { name: message.name, color: message.color, style: message.style };
+                playerAppearances.set(message.clientId, appearance);
+                if (message.clientId === clientId) {
+                    applySuit(player, appearance);
+                    if (playerProfile) {
+                        playerProfile.name = appearance.name;
+                        updateProfileUI();
+                    }
+                } else if (otherPlayers.has(message.clientId)) {
+                    applyDiverAppearance(otherPlayers.get(message.clientId), appearance);
                 }
-                lastFishUpdateTime = performance.now();
+            }
+            
+            // Handle inventory changes after a catch
+            else if (message.type === 'inventoryUpdate') {
+                if (playerProfile) {
+                    playerProfile.inventory = message.inventory;
+                    playerProfile.stats = message.stats;
+                    updateProfileUI();
+                }
+            }
+            
+            // Handle full world resync after connecting or resuming
+            else if (message.type === 'resync') {
+                console.log('Received full resync:', message);
+                applyResync(message);
+            }
+            
+            // Handle the server overruling where we think we are (e.g. we swam into coral)
+            else if (message.type === 'positionCorrection') {
+                applyPositionCorrection(message.position, message.velocity);
+            }
+            
+            // Handle running out of air: the server has already moved us to the surface
+            else if (message.type === 'blackout') {
+                applyPositionCorrection(message.position, { x: 0, y: 0, z: 0 });
+                const lostText = message.lostFish > 0 ? ` You dropped ${message.lostFish} fish.` : '';
+                showOxygenWarning(`You blacked out and came round at the surface.${lostText}`, 'critical');
+                blackoutMessageUntil = performance.now() + BLACKOUT_MESSAGE_DURATION;
             }
             
             // Handle fish spawn
@@ -666,14 +843,100 @@ function connectToServer() {
                 createFishEntity(message.fish);
             }
             
+            // Handle fish despawned when the server unloads their chunk
+            else if (message.type === 'fishDespawn') {
+                for (const fishId of message.fishIds) {
+                    removeFishEntity(fishId);
+                }
+            }
+            
+            // Handle entities coming into our area of interest
+            else if (message.type === 'entitiesEntered') {
+                for (const playerId in message.players) {
+                    const position = message.players[playerId];
+                    if (Number(playerId) !== clientId && position) {
+                        getOrCreateOtherPlayer(Number(playerId)).position.set(position.x, position.y, position.z);
+                    }
+                }
+                for (const fishId in message.fish) {
+                    createFishEntity(message.fish[fishId]);
+                }
+            }
+            
+            // Handle entities leaving our area of interest
+            else if (message.type === 'entitiesLeft') {
+                for (const playerId of message.players) {
+                    removeOtherPlayer(playerId);
+                }
+                for (const fishId of message.fish) {
+                    removeFishEntity(fishId);
+                }
+            }
+            
             // Handle game state updates
             else if (message.type === 'gameState') {
-                // Update player positions based on server data
-                updatePlayerPositions(message.data.players);
-                
-                // Update fish positions based on server data
-                updateFishPositions(message.data.fish);
-                lastFishUpdateTime = performance.now();
+                // Rebuild the full snapshot from the delta; null means we're waiting on a full one
+                const snapshot = applySnapshotDelta(message.data);
+                if (snapshot) {
+                    // Update player positions based on server data
+                    updatePlayerPositions(snapshot.players);
+                    
+                    // Our own air supply is in our player entry
+                    const self = snapshot.players[clientId];
+                    if (self) {
+                        updateOxygenGauge(self.oxygen);
+                    }
+                    
+                    // Update fish positions based on server data
+                    updateFishPositions(snapshot.fish);
+                    lastFishUpdateTime = performance.now();
+                }
+            }
+
+            // Handle fishing events
+            else if (message.type === 'lineCast') {
+                createFishingLine(message.clientId, message.fishId);
+                if (message.clientId === clientId) {
+                    localCast = { fishId: message.fishId, hooked: false };
+                    showFishingStatus('Line cast... wait for a bite');
+                }
+            }
+            
+            else if (message.type === 'castRejected') {
+                showFishingStatus(`Can't cast: ${describeCastRejection(message.reason)}`);
+            }
+            
+            else if (message.type === 'fishHooked') {
+                if (message.clientId === clientId && localCast) {
+                    localCast.hooked = true;
+                    showFishingStatus('Fish on! Press Space to reel in!');
+                }
+            }
+            
+            else if (message.type === 'fishCaught') {
+                const caughtName = describeFish(message.fishId);
+                removeFishingLine(message.clientId);
+                removeFishEntity(message.fishId);
+                if (message.clientId === clientId) {
+                    localCast = null;
+                    showFishingStatus(`You caught a ${caughtName}!`);
+                }
+            }
+            
+            else if (message.type === 'fishEscaped') {
+                removeFishingLine(message.clientId);
+                if (message.clientId === clientId) {
+                    localCast = null;
+                    showFishingStatus(`The ${describeFish(message.fishId)} got away (${describeEscape(message.reason)})`);
+                }
+            }
+
+            // Handle chat from other divers (and our own, echoed back)
+            else if (message.type === 'chat') {
+                addChatLine(`[${CHAT_CHANNEL_LABELS[message.channel] || message.channel}] ${message.name}: ${message.text}`, message.channel);
+                if (message.clientId !== clientId) {
+                    showSpeechBubble(message.clientId, message.text);
+                }
             }
 
             // Handle chunk updates
@@ -690,11 +953,43 @@ function connectToServer() {
     // Socket closed event
     socket.addEventListener('close', (event) => {
         console.log('Connection closed');
+        
+        // Reconnecting won't help if the server speaks a different protocol version
+        if (event.code === Protocol.CLOSE_CODES.versionMismatch) {
+            document.getElementById('connectionStatus').textContent = 'Version mismatch - please reload';
+            document.getElementById('connectionStatus').style.color = 'red';
+            return;
+        }
+        
+        // Nor will it if the room is private and we don't have its key
+        if (event.code === Protocol.CLOSE_CODES.roomUnavailable) {
+            document.getElementById('connectionStatus').textContent = `Can't join room ${currentRoom} - check the link`;
+            document.getElementById('connectionStatus').style.color = 'red';
+            return;
+        }
+        
+        // Or if an admin kicked us, or the server cut us off for flooding it
+        if (event.code === Protocol.CLOSE_CODES.kicked || event.code === Protocol.CLOSE_CODES.rateLimited) {
+            document.getElementById('connectionStatus').textContent = event.code === Protocol.CLOSE_CODES.kicked
+                ? 'Kicked from the server'
+                : 'Disconnected for sending too many messages';
+            document.getElementById('connectionStatus').style.color = 'red';
+            return;
+        }
+        
+        clientId = null;
+        wireEncoding = 'json';
+        snapshotHistory.clear();
+        awaitingFullSnapshot = false;
         document.getElementById('connectionStatus').textContent = 'Disconnected';
         document.getElementById('connectionStatus').style.color = 'red';
         
-        // Attempt to reconnect after 2 seconds
-        setTimeout(connectToServer, 2000);
+        // Try again, backing off so a server that's down for a while isn't hammered by every client at once
+        const delay = nextReconnectDelay();
+        if (maintenanceUntil > 0) {
+            showMaintenanceBanner(`Server is down for maintenance - reconnecting in ${formatDowntime(Math.ceil(delay / 1000))}`);
+        }
+        setTimeout(connectToServer, delay);
     });
     
     // Socket error event
@@ -705,11 +1000,164 @@ function connectToServer() {
     });
 }
 
+// Remember the profile loaded by the server
+function restoreProfile(profile) {
+    playerProfile = profile;
+    localStorage.setItem(PROFILE_STORAGE_KEY, profile.id);
+    console.log(`Loaded profile for ${profile.name}`);
+    updateProfileUI();
+}
+
+// Snap the diver to the server's authoritative position
+function applyPositionCorrection(position, velocity) {
+    if (!player || !playerBody) return;
+    
+    console.log(`Server correction: moved to (${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)})`);
+    playerBody.position.set(position.x, position.y, position.z);
+    playerBody.velocity.set(velocity.x, velocity.y, velocity.z);
+    player.position.set(position.x, position.y, position.z);
+}
+
+// Throw away our view of the world and rebuild it from a server resync
+function applyResync(snapshot) {
+    // Clear out everything we knew before
+    for (const fishId of Array.from(fishEntities.keys())) {
+        removeFishEntity(fishId);
+    }
+    for (const casterId of Array.from(fishingLines.keys())) {
+        removeFishingLine(casterId);
+    }
+    for (const playerId of Array.from(otherPlayers.keys())) {
+        removeOtherPlayer(playerId);
+    }
+    localCast = null;
+    
+    // The server starts a new snapshot sequence after a resync
+    snapshotHistory.clear();
+    awaitingFullSnapshot = false;
+    
+    // Put the diver where the server says they are
+    if (snapshot.position && player && playerBody) {
+        const velocity = snapshot.velocity || { x: 0, y: 0, z: 0 };
+        playerBody.position.set(snapshot.position.x, snapshot.position.y, snapshot.position.z);
+        playerBody.velocity.set(velocity.x, velocity.y, velocity.z);
+        player.position.set(snapshot.position.x, snapshot.position.y, snapshot.position.z);
+    }
+    
+    // Load the chunks around the diver before adding fish, which are only kept in loaded chunks
+    if (snapshot.chunk) {
+        currentPlayerChunk = { x: snapshot.chunk.x, z: snapshot.chunk.z };
+        updateChunks();
+    }
+    
+    for (const fishId in snapshot.fish) {
+        createFishEntity(snapshot.fish[fishId]);
+    }
+    lastFishUpdateTime = performance.now();
+    
+    updatePlayerPositions(snapshot.players);
+    
+    for (const casterId in snapshot.lines) {
+        createFishingLine(Number(casterId), snapshot.lines[casterId]);
+    }
+}
+
+// Show profile details in the debug panel
+function updateProfileUI() {
+    if (!playerProfile) return;
+    
+    document.getElementById('playerName').textContent = playerProfile.name;
+    document.getElementById('catchCount').textContent = playerProfile.stats.fishCaught;
+}
+
+// Apply a gameState delta onto its baseline; returns the dequantized snapshot, or null if the baseline is missing
+function applySnapshotDelta(data) {
+    let players, fish;
+    
+    if (data.baseline === null) {
+        // Full snapshot
+        players = data.players;
+        fish = data.fish;
+        awaitingFullSnapshot = false;
+    } else {
+        const baseline = snapshotHistory.get(data.baseline);
+        if (!baseline) {
+            // We can't rebuild this snapshot, so ask for a full one (once)
+            if (!awaitingFullSnapshot) {
+                console.warn(`Missing snapshot baseline ${data.baseline}, requesting full snapshot`);
+                sendMessage({ type: 'snapshotRequest' });
+                awaitingFullSnapshot = true;
+            }
+            return null;
+        }
+        
+        players = mergeSnapshotEntities(baseline.players, data.players, data.removedPlayers);
+        fish = mergeSnapshotEntities(baseline.fish, data.fish, data.removedFish);
+        
+        // The server will never use anything older than this baseline again
+        for (const seq of Array.from(snapshotHistory.keys())) {
+            if (seq < data.baseline) {
+                snapshotHistory.delete(seq);
+            }
+        }
+    }
+    
+    snapshotHistory.set(data.seq, { players, fish });
+    if (snapshotHistory.size > SNAPSHOT_HISTORY) {
+        snapshotHistory.delete(snapshotHistory.keys().next().value);
+    }
+    sendMessage({ type: 'snapshotAck', seq: data.seq });
+    
+    // Convert quantized entities back into the shapes the rest of the client uses
+    const dequantizedPlayers = {};
+    for (const playerId in players) {
+        const entry = players[playerId];
+        dequantizedPlayers[playerId] = {
+            x: entry.x / POSITION_SCALE,
+            y: entry.y / POSITION_SCALE,
+            z: entry.z / POSITION_SCALE,
+            oxygen: entry.o / OXYGEN_SCALE
+        };
+    }
+    
+    const dequantizedFish = {};
+    for (const fishId in fish) {
+        const entry = fish[fishId];
+        dequantizedFish[fishId] = {
+            id: Number(fishId),
+            speciesId: entry.sp,
+            behaviour: Protocol.FISH_BEHAVIOURS[entry.bh] || 'idle',
+            position: { x: entry.x / POSITION_SCALE, y: entry.y / POSITION_SCALE, z: entry.z / POSITION_SCALE },
+            velocity: { x: entry.vx / VELOCITY_SCALE, y: entry.vy / VELOCITY_SCALE, z: entry.vz / VELOCITY_SCALE },
+            chunkX: entry.cx,
+            chunkZ: entry.cz
+        };
+    }
+    
+    return { players: dequantizedPlayers, fish: dequantizedFish };
+}
+
+// Merge changed fields and removals onto a map of baseline entities
+function mergeSnapshotEntities(baseline, changed, removed) {
+    const merged = { ...baseline };
+    for (const id in changed) {
+        merged[id] = { ...baseline[id], ...changed[id] };
+    }
+    for (const id of removed || []) {
+        delete merged[id];
+    }
+    return merged;
+}
+
 // Helper function to send messages to the server
 function sendMessage(message) {
     if (socket && socket.readyState === WebSocket.OPEN) {
-        // For structured messages, we can use objects
-        socket.send(JSON.stringify(message));
+        // High-frequency messages go out in binary once negotiated, everything else as JSON
+        if (wireEncoding === 'binary' && BinaryProtocol.isBinaryType(message.type)) {
+            socket.send(BinaryProtocol.encode(message));
+        } else {
+            socket.send(JSON.stringify(message));
+        }
     } else {
         console.warn('Cannot send message, WebSocket is not connected');
     }
@@ -719,20 +1167,35 @@ function sendMessage(message) {
 function setupKeyboardControls() {
     console.log("Setting up keyboard controls...");
     
-    const moveSpeed = 10; // Movement speed
+    const moveSpeed = MOVE_SPEED; // Movement speed
     
     // Track key presses
     window.addEventListener('keydown', (event) => {
         console.log("Key pressed:", event.key);
-        if (keyState.hasOwnProperty(event.key)) {
-            if (!keyState[event.key]) { // Only send message if state changes
-                keyState[event.key] = true;
-                console.log(`Key ${event.key} pressed, sending to server`);
+        
+        // Enter opens the chat box
+        if (event.key === 'Enter') {
+            openChat();
+            event.preventDefault();
+            return;
+        }
+        
+        // Space casts a line, or reels it in when one is already out
+        if (event.code === 'Space' && !event.repeat) {
+            handleFishingKey();
+            return;
+        }
+        
+        const key = KEY_CODE_BINDINGS[event.code] || event.key;
+        if (keyState.hasOwnProperty(key)) {
+            if (!keyState[key]) { // Only send message if state changes
+                keyState[key] = true;
+                console.log(`Key ${key} pressed, sending to server`);
                 
                 // Send key press event to server
                 sendMessage({
                     type: 'keyPress',
-                    key: event.key,
+                    key: key,
                     pressed: true
                 });
                 
@@ -744,14 +1207,15 @@ function setupKeyboardControls() {
     
     window.addEventListener('keyup', (event) => {
         console.log("Key released:", event.key);
-        if (keyState.hasOwnProperty(event.key)) {
-            keyState[event.key] = false;
-            console.log(`Key ${event.key} released, sending to server`);
+        const key = KEY_CODE_BINDINGS[event.code] || event.key;
+        if (keyState.hasOwnProperty(key)) {
+            keyState[key] = false;
+            console.log(`Key ${key} released, sending to server`);
             
             // Send key release event to server
             sendMessage({
                 type: 'keyPress',
-                key: event.key,
+                key: key,
                 pressed: false
             });
             
@@ -853,6 +1317,7 @@ function updateFishPositions(fishData) {
                 
                 // Update the stored velocity data - our smoothing will handle the interpolation
                 fishEntity.data.velocity = serverFish.velocity;
+                fishEntity.data.behaviour = serverFish.behaviour || 'idle';
                 
                 // Check if fish has moved to a new chunk
                 if (serverFish.chunkX !== undefined && serverFish.chunkZ !== undefined) {
@@ -932,6 +1397,59 @@ function updateFishPositions(fishData) {
     }
 }
 
+// Fetch the species catalogue shared with the server; fish fall back to a plain look if it fails
+function loadSpeciesCatalogue() {
+    return fetch('shared/species.json')
+        .then((response) => response.json())
+        .then((catalogue) => {
+            for (const species of catalogue.species) {
+                speciesCatalogue.set(species.id, species);
+            }
+            console.log(`Loaded ${speciesCatalogue.size} fish species`);
+        })
+        .catch((error) => {
+            console.error('Error loading species catalogue:', error);
+        });
+}
+
+// Build (once) the geometry and material shared by every fish of a species; models face +z
+function getSpeciesVisuals(speciesId) {
+    if (speciesVisuals.has(speciesId)) {
+        return speciesVisuals.get(speciesId);
+    }
+
+    const species = speciesCatalogue.get(speciesId) || { size: 0.3, color: '#ff0000', model: 'round' };
+    const proportions = SPECIES_MODELS[species.model] || SPECIES_MODELS.round;
+
+    const bodyGeometry = new THREE.SphereGeometry(species.size, 12, 8);
+    bodyGeometry.scale(proportions.x, proportions.y, proportions.z);
+
+    // Tail fin behind the body, pointing back towards it
+    const tailLength = species.size * 0.8;
+    const tailGeometry = new THREE.ConeGeometry(species.size * 0.6, tailLength, 4);
+    tailGeometry.rotateX(Math.PI / 2);
+    tailGeometry.scale(proportions.x, 1, 1);
+    tailGeometry.translate(0, 0, -(species.size * proportions.z + tailLength * 0.4));
+
+    const color = new THREE.Color(species.color);
+    const material = new THREE.MeshStandardMaterial({
+        color: color,
+        emissive: color.clone().multiplyScalar(0.4), // Add some glow
+        emissiveIntensity: 0.7 // Increase emissive intensity for better visibility
+    });
+
+    const visuals = { bodyGeometry, tailGeometry, material };
+    speciesVisuals.set(speciesId, visuals);
+    return visuals;
+}
+
+// Species name for a fish we know about, for status messages
+function describeFish(fishId) {
+    const fishEntity = fishEntities.get(parseInt(fishId));
+    const species = fishEntity && speciesCatalogue.get(fishEntity.data.speciesId);
+    return species ? species.name : 'fish';
+}
+
 // Create a fish entity and its visual representation
 function createFishEntity(fishData) {
     // Skip if we already have this fish
@@ -944,6 +1462,8 @@ function createFishEntity(fishData) {
     // Make sure we have a properly formatted data object with chunk info
     const fishDataComplete = {
         id: fishIdInt,
+        speciesId: fishData.speciesId,
+        behaviour: fishData.behaviour || 'idle',
         chunkX: fishData.chunkX !== undefined ? fishData.chunkX : Math.floor(fishData.position.x / CHUNK_SIZE),
         chunkZ: fishData.chunkZ !== undefined ? fishData.chunkZ : Math.floor(fishData.position.z / CHUNK_SIZE),
         position: { ...fishData.position },
@@ -959,19 +1479,10 @@ function createFishEntity(fishData) {
         return;
     }
     
-    // Create a smaller fish as requested
-    const fishGeometry = new THREE.SphereGeometry(0.3, 8, 8); // Reduced size from 1.0 to 0.3
-    
-    // Create red color for fish to make them more visible
-    const fishColor = new THREE.Color(0xff0000); // Bright red color
-    
-    const fishMaterial = new THREE.MeshStandardMaterial({ 
-        color: fishColor,
-        emissive: fishColor.clone().multiplyScalar(0.4), // Add some glow
-        emissiveIntensity: 0.7 // Increase emissive intensity for better visibility
-    });
-    
-    const fishMesh = new THREE.Mesh(fishGeometry, fishMaterial);
+    // Draw the fish the way its species looks
+    const visuals = getSpeciesVisuals(fishDataComplete.speciesId);
+    const fishMesh = new THREE.Mesh(visuals.bodyGeometry, visuals.material);
+    fishMesh.add(new THREE.Mesh(visuals.tailGeometry, visuals.material));
     
     // Set fish position based on server data
     fishMesh.position.set(
@@ -1010,8 +1521,223 @@ function createFishEntity(fishData) {
                 `in chunk (${fishDataComplete.chunkX}, ${fishDataComplete.chunkZ})`);
 }
 
+// Remove a fish entity and its mesh from its chunk group
+function removeFishEntity(fishId) {
+    const fishIdInt = parseInt(fishId);
+    const fishEntity = fishEntities.get(fishIdInt);
+    if (!fishEntity) return;
+    
+    if (fishChunkGroups.has(fishEntity.chunkKey)) {
+        fishChunkGroups.get(fishEntity.chunkKey).remove(fishEntity.mesh);
+    }
+    fishEntities.delete(fishIdInt);
+    
+    // Update the fish count in the UI
+    const fishCountElement = document.getElementById('fishCount');
+    if (fishCountElement) {
+        fishCountElement.textContent = fishEntities.size;
+    }
+}
+
+// Cast a line at the nearest fish, or reel in if a line is already out
+function handleFishingKey() {
+    if (!player) return;
+    
+    if (localCast) {
+        sendMessage({ type: 'reelIn' });
+        return;
+    }
+    
+    // Find the nearest fish within casting range
+    let nearestFishId = null;
+    let nearestDistance = CAST_RANGE;
+    for (const [fishId, fishEntity] of fishEntities.entries()) {
+        const distance = fishEntity.mesh.position.distanceTo(player.position);
+        if (distance <= nearestDistance) {
+            nearestFishId = fishId;
+            nearestDistance = distance;
+        }
+    }
+    
+    if (nearestFishId === null) {
+        showFishingStatus('No fish in range');
+        return;
+    }
+    
+    sendMessage({ type: 'castLine', fishId: nearestFishId });
+}
+
+// Draw a fishing line from a diver to a fish
+function createFishingLine(casterId, fishId) {
+    removeFishingLine(casterId);
+    
+    const lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.8 });
+    const line = new THREE.Line(lineGeometry, lineMaterial);
+    line.frustumCulled = false;
+    scene.add(line);
+    
+    fishingLines.set(casterId, { line: line, fishId: parseInt(fishId) });
+    updateFishingLines();
+}
+
+// Remove a diver's fishing line from the scene
+function removeFishingLine(casterId) {
+    const fishingLine = fishingLines.get(casterId);
+    if (!fishingLine) return;
+    
+    scene.remove(fishingLine.line);
+    fishingLine.line.geometry.dispose();
+    fishingLine.line.material.dispose();
+    fishingLines.delete(casterId);
+}
+
+// Move line endpoints to follow the caster and the fish
+function updateFishingLines() {
+    for (const [casterId, fishingLine] of fishingLines.entries()) {
+        const casterMesh = casterId === clientId ? player : otherPlayers.get(casterId);
+        const fishEntity = fishEntities.get(fishingLine.fishId);
+        
+        // Hide lines whose diver or fish isn't visible to us
+        fishingLine.line.visible = Boolean(casterMesh && fishEntity);
+        if (!fishingLine.line.visible) continue;
+        
+        const positions = fishingLine.line.geometry.attributes.position.array;
+        positions[0] = casterMesh.position.x;
+        positions[1] = casterMesh.position.y;
+        positions[2] = casterMesh.position.z;
+        positions[3] = fishEntity.mesh.position.x;
+        positions[4] = fishEntity.mesh.position.y;
+        positions[5] = fishEntity.mesh.position.z;
+        fishingLine.line.geometry.attributes.position.needsUpdate = true;
+    }
+}
+
+// Update the oxygen gauge and low-air warnings from the fraction of a full tank left
+function updateOxygenGauge(oxygen) {
+    const oxygenFill = document.getElementById('oxygenFill');
+    const oxygenText = document.getElementById('oxygenText');
+    if (!oxygenFill || !oxygenText) return;
+    
+    const percent = Math.round(oxygen * 100);
+    oxygenFill.style.width = `${percent}%`;
+    oxygenFill.style.backgroundColor = oxygen < CRITICAL_OXYGEN ? '#ff4444' : oxygen < LOW_OXYGEN ? '#ffaa33' : '#33ccff';
+    oxygenText.textContent = `${percent}%`;
+    
+    // Leave the blackout notice up for a while before going back to air warnings
+    if (performance.now() < blackoutMessageUntil) return;
+    
+    if (oxygen < CRITICAL_OXYGEN) {
+        showOxygenWarning('Air critical! Surface now!', 'critical');
+    } else if (oxygen < LOW_OXYGEN) {
+        showOxygenWarning('Low air - head for the surface', 'low');
+    } else {
+        showOxygenWarning(null);
+    }
+}
+
+// Show (or with null text, hide) the oxygen warning banner
+function showOxygenWarning(text, level) {
+    const oxygenWarning = document.getElementById('oxygenWarning');
+    if (!oxygenWarning) return;
+    
+    oxygenWarning.style.display = text ? 'block' : 'none';
+    oxygenWarning.textContent = text || '';
+    oxygenWarning.className = level || '';
+}
+
+// Show a fishing status message in the HUD
+function showFishingStatus(text) {
+    const fishingStatus = document.getElementById('fishingStatus');
+    if (fishingStatus) {
+        fishingStatus.textContent = text;
+    }
+}
+
+// Human-readable reasons for a rejected cast
+function describeCastRejection(reason) {
+    switch (reason) {
+        case 'alreadyFishing': return 'your line is already out';
+        case 'outOfRange': return 'fish is too far away';
+        case 'fishTaken': return 'someone else is after that fish';
+        default: return 'fish is gone';
+    }
+}
+
+// Human-readable reasons for a fish escaping
+function describeEscape(reason) {
+    switch (reason) {
+        case 'tooEarly': return 'you reeled in too early';
+        case 'timeout': return 'you were too slow';
+        case 'lineSnapped': return 'the line snapped';
+        case 'blackout': return 'you blacked out';
+        default: return 'it slipped off the hook';
+    }
+}
+
+// Exponential backoff with jitter, never earlier than the server said it would be back
+function nextReconnectDelay() {
+    const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, reconnectAttempts));
+    reconnectAttempts++;
+    const jittered = backoff * (0.5 + Math.random() * 0.5);
+    return Math.max(jittered, maintenanceUntil - performance.now());
+}
+
+function showMaintenanceBanner(text) {
+    const banner = document.getElementById('maintenanceBanner');
+    banner.textContent = text;
+    banner.style.display = 'block';
+}
+
+function hideMaintenanceBanner() {
+    document.getElementById('maintenanceBanner').style.display = 'none';
+}
+
+// "45s" or "3 min" for a duration in seconds
+function formatDowntime(seconds) {
+    return seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`;
+}
+
+// Room name from a /rooms/<name> page path, or null for the default room
+function roomFromPath(pathname) {
+    const match = pathname.match(/^\/rooms\/([^/]+)\/?$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Remember which room we're in, so reconnects return to it and the address bar can be shared
+function enterRoom(room) {
+    currentRoom = room;
+    document.getElementById('roomName').textContent = room;
+    
+    const url = new URL(window.location.href);
+    url.pathname = `/rooms/${encodeURIComponent(room)}`;
+    if (currentRoomKey) {
+        url.searchParams.set('key', currentRoomKey);
+    } else {
+        url.searchParams.delete('key');
+    }
+    history.replaceState(null, '', url);
+}
+
+// Switch to a new world seed, regenerating any chunks built from a different one
+function setWorldSeed(seed) {
+    if (seed === worldSeed) return;
+    
+    console.log(`Using world seed ${seed}`);
+    worldSeed = seed;
+    for (const chunkGroup of loadedChunks.values()) {
+        removeChunk(chunkGroup);
+    }
+    loadedChunks.clear();
+    updateChunks();
+}
+
 // Update chunks based on player position
 function updateChunks() {
+    // Terrain can't be generated until the server tells us the world seed
+    if (worldSeed === null) return;
+    
     console.log(`Updating chunks for player position: ${player.position.x}, ${player.position.z}`);
     
     // Determine which chunks should be loaded
@@ -1058,8 +1784,8 @@ function updateChunks() {
                 fishChunkGroups.delete(chunkKey);
             }
             
-            // Remove the chunk from the scene
-            scene.remove(chunkGroup);
+            // Remove the chunk from the scene and the physics world
+            removeChunk(chunkGroup);
             // Remove from the map
             loadedChunks.delete(chunkKey);
         }
@@ -1092,31 +1818,267 @@ function updatePlayerPositions(players) {
             continue;
         }
         
-        // If we don't have a mesh for this player yet, create one
-        if (!otherPlayers.has(pid)) {
-            console.log(`Creating new player representation for player ${pid}`);
-            const playerGeometry = new THREE.BoxGeometry(1, 1, 1);
-            const playerMaterial = new THREE.MeshStandardMaterial({ color: 0x00ff00 }); // Same green color
-            const playerMesh = new THREE.Mesh(playerGeometry, playerMaterial);
-            scene.add(playerMesh);
-            otherPlayers.set(pid, playerMesh);
-        }
-        
-        // Update the player's position
-        const playerMesh = otherPlayers.get(pid);
-        if (playerMesh) {
-            playerMesh.position.set(position.x, position.y, position.z);
-        }
+        // Update the player's position, creating a mesh if we don't have one yet
+        const playerMesh = getOrCreateOtherPlayer(pid);
+        playerMesh.position.set(position.x, position.y, position.z);
     }
     
-    // Remove players that are no longer in the game
-    for (const [playerId, playerMesh] of otherPlayers.entries()) {
+    // Remove players that are no longer in the game or out of our area of interest
+    for (const playerId of Array.from(otherPlayers.keys())) {
         if (!players[playerId]) {
             console.log(`Removing player ${playerId} who left the game`);
-            scene.remove(playerMesh);
-            otherPlayers.delete(playerId);
+            removeOtherPlayer(playerId);
+        }
+    }
+}
+
+// Wire up the chat box: Enter sends, Escape closes, and typing never moves the diver
+function setupChat() {
+    const chatInput = document.getElementById('chatInput');
+    const chatChannel = document.getElementById('chatChannel');
+    chatInput.maxLength = CHAT_MAX_LENGTH;
+    
+    chatInput.addEventListener('keydown', (event) => {
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+            const text = chatInput.value.trim();
+            const roomCommand = text.match(/^\/room\s+(\S+)(?:\s+(\S+))?$/);
+            if (roomCommand) {
+                // /room <name> [key] moves us to another room, creating it (private if a key is given) if needed
+                const request = { type: 'joinRoom', room: roomCommand[1] };
+                if (roomCommand[2]) request.key = roomCommand[2];
+                requestedRoomKey = roomCommand[2] || null;
+                sendMessage(request);
+            } else if (text) {
+                sendMessage({ type: 'chat', channel: chatChannel.value, text: text });
+            }
+            chatInput.value = '';
+            chatInput.blur();
+        } else if (event.key === 'Escape') {
+            chatInput.value = '';
+            chatInput.blur();
+        }
+    });
+    chatInput.addEventListener('keyup', (event) => event.stopPropagation());
+}
+
+// Focus the chat input, letting go of any movement keys so the diver doesn't swim off while we type
+function openChat() {
+    for (const key in keyState) {
+        if (keyState[key]) {
+            keyState[key] = false;
+            sendMessage({ type: 'keyPress', key: key, pressed: false });
         }
     }
+    document.getElementById('chatInput').focus();
+}
+
+// Add a line to the chat box, dropping the oldest beyond the scrollback limit
+function addChatLine(text, channel) {
+    const chatMessages = document.getElementById('chatMessages');
+    if (!chatMessages) return;
+    
+    const line = document.createElement('div');
+    line.className = `chatLine ${channel}`;
+    line.textContent = text; // Never innerHTML: chat text comes from other players
+    chatMessages.appendChild(line);
+    
+    while (chatMessages.children.length > CHAT_SCROLLBACK) {
+        chatMessages.removeChild(chatMessages.firstChild);
+    }
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// Float a speech bubble above another diver's mesh
+function showSpeechBubble(playerId, text) {
+    const playerMesh = otherPlayers.get(Number(playerId));
+    if (!playerMesh) return;
+    removeSpeechBubble(playerMesh);
+    
+    // Draw the text into a canvas, wrapped onto at most three lines
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 160;
+    const context = canvas.getContext('2d');
+    context.font = '28px Arial';
+    const lines = wrapText(context, text, canvas.width - 40, 3);
+    
+    context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    context.beginPath();
+    context.roundRect(4, 4, canvas.width - 8, canvas.height - 8, 20);
+    context.fill();
+    context.fillStyle = '#102030';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    const lineHeight = 36;
+    const firstLineY = canvas.height / 2 - (lines.length - 1) * lineHeight / 2;
+    lines.forEach((line, index) => context.fillText(line, canvas.width / 2, firstLineY + index * lineHeight));
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+    sprite.scale.set(3.2, 1, 1);
+    sprite.position.y = 2; // Above the diver's name label
+    playerMesh.add(sprite);
+    playerMesh.userData.speechBubble = { sprite: sprite, expiresAt: performance.now() + SPEECH_BUBBLE_DURATION };
+}
+
+// Break text into lines that fit a width, ending with an ellipsis if it doesn't all fit
+function wrapText(context, text, maxWidth, maxLines) {
+    const lines = [];
+    let current = '';
+    for (const word of text.split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (context.measureText(candidate).width <= maxWidth || !current) {
+            current = candidate;
+            continue;
+        }
+        lines.push(current);
+        current = word;
+        if (lines.length === maxLines) break;
+    }
+    if (lines.length < maxLines && current) {
+        lines.push(current);
+    } else if (lines.length === maxLines) {
+        lines[maxLines - 1] += '…';
+    }
+    return lines;
+}
+
+// Remove speech bubbles that have been up long enough
+function updateSpeechBubbles() {
+    const now = performance.now();
+    for (const playerMesh of otherPlayers.values()) {
+        const bubble = playerMesh.userData.speechBubble;
+        if (bubble && now >= bubble.expiresAt) {
+            removeSpeechBubble(playerMesh);
+        }
+    }
+}
+
+function removeSpeechBubble(playerMesh) {
+    const bubble = playerMesh.userData.speechBubble;
+    if (!bubble) return;
+    
+    playerMesh.remove(bubble.sprite);
+    bubble.sprite.material.map.dispose();
+    bubble.sprite.material.dispose();
+    delete playerMesh.userData.speechBubble;
+}
+
+// Shared geometry for each suit style
+function getSuitGeometry(style) {
+    if (!suitGeometries.has(style)) {
+        let geometry;
+        if (style === 'streamlined') {
+            geometry = new THREE.CapsuleGeometry(0.4, 0.6, 4, 8);
+            geometry.rotateX(Math.PI / 2); // Lie along the swimming direction
+        } else if (style === 'bubble') {
+            geometry = new THREE.SphereGeometry(0.55, 16, 12);
+        } else {
+            geometry = new THREE.BoxGeometry(1, 1, 1);
+        }
+        suitGeometries.set(style, geometry);
+    }
+    return suitGeometries.get(style);
+}
+
+// Dress a diver's mesh in their suit
+function applySuit(playerMesh, appearance) {
+    playerMesh.geometry = getSuitGeometry(appearance.style);
+    playerMesh.material.color.set(appearance.color);
+}
+
+// Dress another diver in their suit and put their name above them
+function applyDiverAppearance(playerMesh, appearance) {
+    applySuit(playerMesh, appearance);
+    removeNameLabel(playerMesh);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 32px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = 6;
+    context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    context.strokeText(appearance.name, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+    context.fillStyle = 'white';
+    context.fillText(appearance.name, canvas.width / 2, canvas.height / 2, canvas.width - 8);
+    
+    const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas), depthTest: false }));
+    label.scale.set(2, 0.5, 1);
+    label.position.y = 1.1; // Just above the suit
+    playerMesh.add(label);
+    playerMesh.userData.nameLabel = label;
+}
+
+function removeNameLabel(playerMesh) {
+    const label = playerMesh.userData.nameLabel;
+    if (!label) return;
+    
+    playerMesh.remove(label);
+    label.material.map.dispose();
+    label.material.dispose();
+    delete playerMesh.userData.nameLabel;
+}
+
+// Fill the join screen with the name and suit picked last time
+function restoreJoinChoice() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(APPEARANCE_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable saved appearance:', error);
+    }
+    if (!saved) return;
+    
+    document.getElementById('joinName').value = saved.name || '';
+    document.getElementById('joinColor').value = saved.color || '#00ff00';
+    if (Protocol.SUIT_STYLES.includes(saved.style)) {
+        document.getElementById('joinStyle').value = saved.style;
+    }
+}
+
+// Read the join screen and remember the choice for next time
+function readJoinChoice() {
+    const choice = {
+        name: document.getElementById('joinName').value.trim().slice(0, Protocol.MAX_NAME_LENGTH),
+        color: document.getElementById('joinColor').value,
+        style: document.getElementById('joinStyle').value
+    };
+    localStorage.setItem(APPEARANCE_STORAGE_KEY, JSON.stringify(choice));
+    return choice;
+}
+
+// Get the mesh for another player, creating it if needed
+function getOrCreateOtherPlayer(pid) {
+    if (!otherPlayers.has(pid)) {
+        console.log(`Creating new player representation for player ${pid}`);
+        const playerMaterial = new THREE.MeshStandardMaterial({ color: 0x00ff00 }); // Default suit until we hear theirs
+        const playerMesh = new THREE.Mesh(getSuitGeometry('classic'), playerMaterial);
+        scene.add(playerMesh);
+        otherPlayers.set(pid, playerMesh);
+        
+        const appearance = playerAppearances.get(pid);
+        if (appearance) {
+            applyDiverAppearance(playerMesh, appearance);
+        }
+    }
+    return otherPlayers.get(pid);
+}
+
+// Remove another player's mesh from the scene
+function removeOtherPlayer(playerId) {
+    const pid = Number(playerId);
+    const playerMesh = otherPlayers.get(pid);
+    if (!playerMesh) return;
+    
+    removeSpeechBubble(playerMesh);
+    removeNameLabel(playerMesh);
+    playerMesh.material.dispose();
+    scene.remove(playerMesh);
+    otherPlayers.delete(pid);
 }
 
 // Initialize game when page loads
@@ -1133,6 +2095,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     console.log("Setting up start button");
+    document.getElementById('joinName').maxLength = Protocol.MAX_NAME_LENGTH;
+    restoreJoinChoice();
     
     // Show the start button once libraries are loaded
     setTimeout(() => {
@@ -1144,13 +2108,15 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log("Start button clicked");
         
         try {
+            joinChoice = readJoinChoice();
+            
             // Initialize game on button click
             const initSuccess = initializeGame();
             console.log("Game initialization result:", initSuccess);
             
             if (initSuccess) {
-                // Connect to server
-                connectToServer();
+                // Connect to server once we know how to draw the fish it will send
+                loadSpeciesCatalogue().then(connectToServer);
                 
                 // Hide loading screen
                 loadingScreen.style.display = 'none';
@@ -1158,6 +2124,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 // Show game UI and debug info
                 gameUI.style.display = 'block';
                 debugInfo.style.display = 'block';
+                document.getElementById('chatBox').style.display = 'flex';
                 
                 // Sound playback disabled
                 console.log("Sound playback disabled to reduce system load");
@@ -1203,87 +2170,74 @@ document.addEventListener('DOMContentLoaded', function() {
     });
 });
 
-// Perlin noise implementation (simplified for this context)
-// This is a basic implementation that provides a deterministic noise function
-function noise(x, z) {
-    // Simple hash function for pseudo-random values
-    function hash(x) {
-        x = ((x >> 16) ^ x) * 0x45d9f3b;
-        x = ((x >> 16) ^ x) * 0x45d9f3b;
-        x = (x >> 16) ^ x;
-        return x;
-    }
-    
-    // Generate 2D noise
-    const xi = Math.floor(x);
-    const zi = Math.floor(z);
-    const xf = x - xi;
-    const zf = z - zi;
-    
-    // Hash coordinates for corners
-    const h00 = hash(xi + hash(zi)) % 1000 / 1000;
-    const h01 = hash(xi + hash(zi + 1)) % 1000 / 1000;
-    const h10 = hash((xi + 1) + hash(zi)) % 1000 / 1000;
-    const h11 = hash((xi + 1) + hash(zi + 1)) % 1000 / 1000;
-    
-    // Smoothing function
-    const sx = 3 * Math.pow(xf, 2) - 2 * Math.pow(xf, 3);
-    const sz = 3 * Math.pow(zf, 2) - 2 * Math.pow(zf, 3);
-    
-    // Interpolate
-    const v1 = h00 + sx * (h10 - h00);
-    const v2 = h01 + sx * (h11 - h01);
-    return v1 + sz * (v2 - v1);
-}
-
 // Create a single chunk at the specified chunk coordinates
 function createChunk(chunkX, chunkZ) {
     const chunkGroup = new THREE.Group();
     chunkGroup.name = `chunk_${chunkX}_${chunkZ}`;
     
     const coralGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-    const coralMaterial = new THREE.MeshStandardMaterial({ color: 0x00aa44 }); // Coral green color
-    
-    // Calculate the world coordinates of the chunk origin
-    const worldX = chunkX * CHUNK_SIZE;
-    const worldZ = chunkZ * CHUNK_SIZE;
-    
-    // Place corals based on noise
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-        for (let z = 0; z < CHUNK_SIZE; z++) {
-            // Sample noise at this position (using multiple octaves for more natural look)
-            const noiseValue = 
-                noise((worldX + x) * 0.1, (worldZ + z) * 0.1) * 0.5 + 
-                noise((worldX + x) * 0.2, (worldZ + z) * 0.2) * 0.3 + 
-                noise((worldX + x) * 0.4, (worldZ + z) * 0.4) * 0.2;
-            
-            // Use the noise value to determine if we should place a coral
-            if (noiseValue > 0.7) { // Only place corals above this threshold
-                const coral = new THREE.Mesh(coralGeometry, coralMaterial);
-                
-                // Position the coral with some random variation in height
-                coral.position.set(
-                    worldX + x + (Math.random() * 0.5 - 0.25), 
-                    -5 + (noiseValue - 0.7) * 3,  // Height based on noise value
-                    worldZ + z + (Math.random() * 0.5 - 0.25)
-                );
-                
-                // Slightly randomize scale for variety
-                const scale = 0.8 + Math.random() * 0.4;
-                coral.scale.set(scale, scale, scale);
-                
-                // Randomly rotate for more natural look
-                coral.rotation.y = Math.random() * Math.PI * 2;
-                
-                chunkGroup.add(coral);
-            }
-        }
+    const rockGeometry = new THREE.DodecahedronGeometry(1, 0);
+    const rockMaterial = new THREE.MeshStandardMaterial({ color: 0x556070, flatShading: true });
+    
+    // Generate the chunk from the world seed, so every player sees the same reef
+    const chunkData = WorldGen.generateChunk(worldSeed, chunkX, chunkZ);
+    
+    // Static colliders matching the server's, so prediction rarely needs correcting
+    const bodies = [];
+    
+    for (const coralData of chunkData.coral) {
+        // Coral takes its colour from the local biome's palette
+        const biome = Biomes.biomeAt(worldSeed, coralData.x, coralData.y, coralData.z);
+        const coralMaterial = getCoralMaterial(Biomes.coralColor(worldSeed, biome, coralData.x, coralData.z));
+        const coral = new THREE.Mesh(coralGeometry, coralMaterial);
+        coral.position.set(coralData.x, coralData.y, coralData.z);
+        coral.scale.set(coralData.scale, coralData.scale, coralData.scale);
+        coral.rotation.y = coralData.rotation;
+        chunkGroup.add(coral);
+        
+        // Positioned through the constructor, since static bodies never recompute their bounds
+        const halfExtent = 0.25 * coralData.scale;
+        const coralQuaternion = new CANNON.Quaternion();
+        coralQuaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), coralData.rotation);
+        bodies.push(new CANNON.Body({
+            mass: 0,
+            shape: new CANNON.Box(new CANNON.Vec3(halfExtent, halfExtent, halfExtent)),
+            position: new CANNON.Vec3(coralData.x, coralData.y, coralData.z),
+            quaternion: coralQuaternion
+        }));
     }
     
+    for (const rockData of chunkData.rocks) {
+        const rock = new THREE.Mesh(rockGeometry, rockMaterial);
+        rock.position.set(rockData.x, rockData.y, rockData.z);
+        rock.scale.set(rockData.radius, rockData.radius * 0.7, rockData.radius); // Slightly flattened
+        rock.rotation.y = rockData.rotation;
+        chunkGroup.add(rock);
+        
+        bodies.push(new CANNON.Body({
+            mass: 0,
+            shape: new CANNON.Sphere(rockData.radius * 0.8),
+            position: new CANNON.Vec3(rockData.x, rockData.y, rockData.z)
+        }));
+    }
+    
+    for (const body of bodies) {
+        physicsWorld.addBody(body);
+    }
+    chunkGroup.userData.bodies = bodies;
+    
     scene.add(chunkGroup);
     return chunkGroup;
 }
 
+// Remove a chunk's meshes and colliders
+function removeChunk(chunkGroup) {
+    for (const body of chunkGroup.userData.bodies) {
+        physicsWorld.removeBody(body);
+    }
+    scene.remove(chunkGroup);
+}
+
 // Check if a fish should be visible based on current loaded chunks
 function isChunkLoaded(chunkX, chunkZ) {
     return loadedChunks.has(`${chunkX},${chunkZ}`);
@@ -1326,6 +2280,17 @@ function cleanupOutOfRangeFish() {
     console.log(`After cleanup: ${fishEntities.size} fish remain in ${fishChunkGroups.size} chunk groups`);
 }
 
+// Keep the diver between the sea floor and the surface, matching the server
+function clampToWaterColumn() {
+    if (playerBody.position.y > MAX_PLAYER_Y) {
+        playerBody.position.y = MAX_PLAYER_Y;
+        playerBody.velocity.y = Math.min(playerBody.velocity.y, 0);
+    } else if (playerBody.position.y < MIN_PLAYER_Y) {
+        playerBody.position.y = MIN_PLAYER_Y;
+        playerBody.velocity.y = Math.max(playerBody.velocity.y, 0);
+    }
+}
+
 // Apply keyboard movement directly
 function applyKeyboardMovement() {
     // Check if player physics body is initialized
@@ -1334,7 +2299,7 @@ function applyKeyboardMovement() {
         return;
     }
     
-    const movementSpeed = 10;
+    const movementSpeed = keyState.Sprint ? MOVE_SPEED * SPRINT_MULTIPLIER : MOVE_SPEED;
     
     // Reset velocity to reduce drift
     playerBody.velocity.x = 0;
@@ -1374,6 +2339,12 @@ function applyKeyboardMovement() {
         playerBody.angularVelocity.y = 0;
     }
     
+    // Swim up or down while a vertical key is held, otherwise drift back towards neutral buoyancy
+    playerBody.velocity.y = Movement.verticalVelocity(keyState, playerBody.position.y);
+    if (keyState.Ascend !== keyState.Dive) {
+        isMoving = true;
+    }
+    
     // Sound playback during movement disabled
     /* SOUND PLAYBACK DISABLED
     // Play movement sound effects
@@ -1436,35 +2407,11 @@ function updateLocalFishPositions(deltaTime) {
         fishEntity.data.position.y = fishEntity.mesh.position.y;
         fishEntity.data.position.z = fishEntity.mesh.position.z;
         
-        // Check if fish is trying to leave its chunk boundaries - bounce it back if it is
-        const chunkMinX = fishEntity.data.chunkX * CHUNK_SIZE + 2;
-        const chunkMaxX = (fishEntity.data.chunkX + 1) * CHUNK_SIZE - 2;
-        const chunkMinZ = fishEntity.data.chunkZ * CHUNK_SIZE + 2;
-        const chunkMaxZ = (fishEntity.data.chunkZ + 1) * CHUNK_SIZE - 2;
-        const minY = -4.5;
-        const maxY = -1;
+        // Fish roam freely between chunks (the server moves them across), but stay within their species' depth range
+        const species = speciesCatalogue.get(fishEntity.data.speciesId);
+        const [minY, maxY] = species ? species.depthRange : [-4.5, -1];
         
         // Handle boundary collisions more gently to prevent jittery behavior
-        if (fishEntity.mesh.position.x < chunkMinX) {
-            fishEntity.smoothVelocity.x = Math.abs(fishEntity.smoothVelocity.x) * 0.8;
-            fishEntity.data.velocity.x = Math.abs(fishEntity.data.velocity.x);
-            fishEntity.mesh.position.x = chunkMinX + 0.1;
-        } else if (fishEntity.mesh.position.x > chunkMaxX) {
-            fishEntity.smoothVelocity.x = -Math.abs(fishEntity.smoothVelocity.x) * 0.8;
-            fishEntity.data.velocity.x = -Math.abs(fishEntity.data.velocity.x);
-            fishEntity.mesh.position.x = chunkMaxX - 0.1;
-        }
-        
-        if (fishEntity.mesh.position.z < chunkMinZ) {
-            fishEntity.smoothVelocity.z = Math.abs(fishEntity.smoothVelocity.z) * 0.8;
-            fishEntity.data.velocity.z = Math.abs(fishEntity.data.velocity.z);
-            fishEntity.mesh.position.z = chunkMinZ + 0.1;
-        } else if (fishEntity.mesh.position.z > chunkMaxZ) {
-            fishEntity.smoothVelocity.z = -Math.abs(fishEntity.smoothVelocity.z) * 0.8;
-            fishEntity.data.velocity.z = -Math.abs(fishEntity.data.velocity.z);
-            fishEntity.mesh.position.z = chunkMaxZ - 0.1;
-        }
-        
         if (fishEntity.mesh.position.y < minY) {
             fishEntity.smoothVelocity.y = Math.abs(fishEntity.smoothVelocity.y) * 0.8;
             fishEntity.data.velocity.y = Math.abs(fishEntity.data.velocity.y);
@@ -1475,12 +2422,22 @@ function updateLocalFishPositions(deltaTime) {
             fishEntity.mesh.position.y = maxY - 0.1;
         }
         
+        // Beat the tail to show what the fish is up to: lazily when curious, frantically when fleeing or hunting
+        fishEntity.tailPhase = (fishEntity.tailPhase || 0) + deltaTime * (FISH_TAIL_BEAT_SPEEDS[fishEntity.data.behaviour] || FISH_TAIL_BEAT_SPEEDS.idle);
+        fishEntity.mesh.children[0].rotation.y = Math.sin(fishEntity.tailPhase) * 0.4;
+        
+        // Face the direction the fish is swimming
+        if (Math.abs(fishEntity.smoothVelocity.x) + Math.abs(fishEntity.smoothVelocity.z) > 0.01) {
+            fishEntity.mesh.rotation.y = Math.atan2(fishEntity.smoothVelocity.x, fishEntity.smoothVelocity.z);
+        }
+        
         // Reduce the frequency of random direction changes
         if (Math.random() < 0.0001) {
-            // Create more gradual direction changes
-            const targetVx = (Math.random() * 2 - 1) * 1.5;
-            const targetVy = (Math.random() * 2 - 1) * 0.3;
-            const targetVz = (Math.random() * 2 - 1) * 1.5;
+            // Create more gradual direction changes, a little slower than the species swims
+            const swimSpeed = species ? species.swimSpeed : 2;
+            const targetVx = (Math.random() * 2 - 1) * swimSpeed * 0.75;
+            const targetVy = (Math.random() * 2 - 1) * swimSpeed * 0.15;
+            const targetVz = (Math.random() * 2 - 1) * swimSpeed * 0.75;
             
             // Store the new target velocity but let smooth interpolation handle the transition
             fishEntity.data.velocity.x = targetVx;
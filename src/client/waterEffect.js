@@ -216,13 +216,19 @@ class UnderwaterFogEffect {
         this.scene.fog = this.fog;
     }
     
-    // Update fog based on depth
-    updateWithDepth(depth) {
+    // Update fog based on depth, easing towards the current biome's fog (blend 0-1 per call)
+    updateWithDepth(depth, biomeFog = null, blend = 1) {
         if (!this.fog) return;
         
         // Deeper = denser fog
         const normalizedDepth = Math.abs(depth) / 10;
-        this.fog.density = 0.02 + normalizedDepth * 0.01;
+        const baseDensity = biomeFog ? biomeFog.density : 0.02;
+        const targetDensity = baseDensity + normalizedDepth * 0.01;
+        this.fog.density += (targetDensity - this.fog.density) * blend;
+        
+        if (biomeFog) {
+            this.fog.color.lerp(new THREE.Color(biomeFog.color), blend);
+        }
     }
 }
 
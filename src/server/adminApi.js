@@ -0,0 +1,180 @@
+// Underwater Odyssey - Admin API
+// Authenticated /api/admin routes for operating a live server; changes to a world run on that room's game loop
+const crypto = require('crypto');
+const express = require('express');
+const WorldGen = require('../shared/worldGen');
+const { getSpecies } = require('./species');
+
+// Build the admin router; every request needs an "Authorization: Bearer <token>" header
+function createAdminRouter({ roomManager, token }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!token) {
+            res.status(503).json({ error: 'Admin API is disabled; set ADMIN_TOKEN to enable it' });
+            return;
+        }
+        if (!isAuthorised(req.get('authorization'), token)) {
+            res.status(401).json({ error: 'Missing or invalid admin token' });
+            return;
+        }
+        next();
+    });
+
+    // Only read request bodies once the caller has proved who they are
+    router.use(express.json());
+
+    // Every connected player, with their room, position and chunk
+    router.get('/players', (req, res) => {
+        const players = [];
+        for (const room of roomManager.rooms.values()) {
+            players.push(...room.describePlayers());
+        }
+        res.json({ players });
+    });
+
+    // Disconnect a player
+    router.post('/players/:clientId/kick', (req, res) => {
+        const room = findPlayerRoom(req, res);
+        if (!room) return;
+
+        const reason = typeof req.body.reason === 'string' && req.body.reason ? req.body.reason : 'Kicked by an admin';
+        const clientId = Number(req.params.clientId);
+        respond(res, room.queueAction(() => room.kickPlayer(clientId, reason)), (kicked) => ({ kicked }));
+    });
+
+    // Move a player to {position: {x, y, z}} in their current room; y must be between the sea floor and the surface
+    router.post('/players/:clientId/teleport', (req, res) => {
+        const position = req.body.position;
+        if (!isVector3(position)) {
+            res.status(400).json({ error: 'position must be an {x, y, z} object of numbers' });
+            return;
+        }
+        if (position.y < WorldGen.SEAFLOOR_Y || position.y > WorldGen.SURFACE_Y) {
+            res.status(400).json({ error: `position.y must be in the water column, ${WorldGen.SEAFLOOR_Y} to ${WorldGen.SURFACE_Y}` });
+            return;
+        }
+
+        const room = findPlayerRoom(req, res);
+        if (!room) return;
+
+        // The player may have left or switched rooms before the action ran
+        const clientId = Number(req.params.clientId);
+        room.queueAction(() => room.teleportPlayer(clientId, position) ? room.playerPositions.get(clientId) : null)
+            .then((newPosition) => {
+                if (!newPosition) {
+                    res.status(404).json({ error: `No connected player with ID ${clientId} in room ${room.name}` });
+                    return;
+                }
+                res.json({ position: newPosition });
+            })
+            .catch((error) => res.status(500).json({ error: error.message }));
+    });
+
+    // Spawn a school of fish in a loaded chunk, optionally of a given {speciesId}
+    router.post('/rooms/:room/chunks/:chunkX/:chunkZ/fish', (req, res) => {
+        const target = findChunk(req, res);
+        if (!target) return;
+
+        let species = null;
+        if (req.body.speciesId !== undefined) {
+            species = getSpecies(req.body.speciesId);
+            if (!species) {
+                res.status(400).json({ error: `Unknown species: ${req.body.speciesId}` });
+                return;
+            }
+        }
+
+        const { room, chunkX, chunkZ } = target;
+        respond(res, room.queueAction(() => room.spawnFishForChunk(chunkX, chunkZ, species)), (spawned) => ({ spawned }));
+    });
+
+    // Remove the fish in a loaded chunk (fish on someone's line are left alone)
+    router.delete('/rooms/:room/chunks/:chunkX/:chunkZ/fish', (req, res) => {
+        const target = findChunk(req, res);
+        if (!target) return;
+
+        const { room, chunkX, chunkZ } = target;
+        respond(res, room.queueAction(() => room.clearFish(chunkX, chunkZ)), (removed) => ({ removed }));
+    });
+
+    // World stats for every room, plus totals
+    router.get('/stats', (req, res) => {
+        const rooms = [];
+        const totals = { rooms: 0, players: 0, loadedChunks: 0, fish: 0 };
+        for (const room of roomManager.rooms.values()) {
+            const stats = room.describeStats();
+            rooms.push(stats);
+            totals.rooms++;
+            totals.players += stats.players;
+            totals.loadedChunks += stats.loadedChunks;
+            totals.fish += stats.fish;
+        }
+        res.json({ totals, rooms, uptime: process.uptime() });
+    });
+
+    // Malformed request bodies get a short JSON answer instead of Express's HTML error page and stack trace
+    router.use((error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            res.status(400).json({ error: 'Invalid JSON body' });
+            return;
+        }
+        res.status(error.status || 500).json({ error: error.expose ? error.message : 'Internal server error' });
+    });
+
+    // Look up the room a :clientId is in, replying with 404 if they aren't connected
+    function findPlayerRoom(req, res) {
+        const room = roomManager.findPlayer(Number(req.params.clientId));
+        if (!room) {
+            res.status(404).json({ error: `No connected player with ID ${req.params.clientId}` });
+        }
+        return room;
+    }
+
+    // Look up a :room and loaded :chunkX/:chunkZ, replying with an error if there isn't one
+    function findChunk(req, res) {
+        const room = roomManager.rooms.get(req.params.room);
+        if (!room) {
+            res.status(404).json({ error: `No open room called ${req.params.room}` });
+            return null;
+        }
+
+        const chunkX = Number(req.params.chunkX);
+        const chunkZ = Number(req.params.chunkZ);
+        if (!Number.isInteger(chunkX) || !Number.isInteger(chunkZ)) {
+            res.status(400).json({ error: 'Chunk coordinates must be integers' });
+            return null;
+        }
+        if (!room.chunkManager.isLoaded(chunkX, chunkZ)) {
+            res.status(409).json({ error: `Chunk ${chunkX},${chunkZ} is not loaded in room ${room.name}` });
+            return null;
+        }
+        return { room, chunkX, chunkZ };
+    }
+
+    return router;
+}
+
+// Reply once a queued action has run on the game loop
+function respond(res, result, describe) {
+    result
+        .then((value) => res.json(describe(value)))
+        .catch((error) => res.status(500).json({ error: error.message }));
+}
+
+// Compare the bearer token in constant time, so response timing doesn't leak how much of it matched
+function isAuthorised(header, token) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) return false;
+
+    const given = Buffer.from(match[1]);
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isVector3(value) {
+    return typeof value === 'object' && value !== null &&
+        Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,317 @@
+// Underwater Odyssey - Fish Schooling
+// Boids-style steering: separation, alignment and cohesion within a species, plus wandering,
+// depth keeping, behaviour states (fleeing, hunting, curious) and avoidance of terrain and unloaded chunks
+const { getSpecies } = require('./species');
+const { distanceBetween } = require('./vectors');
+
+const PERCEPTION_RADIUS = 3; // Fish react to others within this distance
+const SEPARATION_RADIUS = 1; // Fish push away from anything closer than this
+const OBSTACLE_MARGIN = 1; // Extra clearance kept around coral and rocks
+const DEPTH_MARGIN = 0.5; // Start steering back this far inside the species' depth range
+const EDGE_LOOKAHEAD = 2; // Seconds ahead to check for unloaded chunks
+
+// How strongly each rule steers a fish
+const WEIGHTS = {
+    separation: 1.5,
+    alignment: 1.0,
+    cohesion: 0.6,
+    wander: 0.4,
+    depth: 2.0,
+    obstacle: 3.0,
+    edge: 2.0,
+    flee: 4.0,
+    chase: 2.5,
+    inspect: 1.5
+};
+
+// Top speed for each behaviour state, as a multiple of the species' swim speed
+const BEHAVIOUR_SPEEDS = {
+    idle: 1,
+    curious: 0.6,
+    fleeing: 2,
+    hunting: 1.5
+};
+const INSPECT_DISTANCE = 2.5; // Curious fish hover about this far from whatever they're looking at
+
+const WANDER_JITTER = 1.5; // How fast (radians per second) a fish's wander heading drifts
+const MIN_SPEED_FACTOR = 0.3; // Fish never slow below this fraction of their species' swim speed
+
+class FishSchooling {
+    constructor({ chunkSize, swimScale, isChunkLoaded, getObstacles }) {
+        this.chunkSize = chunkSize;
+        this.swimScale = swimScale; // Fraction of its velocity a fish actually covers per second
+        this.isChunkLoaded = isChunkLoaded; // Called with (chunkX, chunkZ); fish never swim into unloaded chunks
+        this.getObstacles = getObstacles; // Called with (chunkX, chunkZ); returns [{x, y, z, radius}]
+    }
+
+    // Steer and move every free-swimming fish by one step of dt seconds, reassigning chunks as they cross
+    update(fishEntities, dt) {
+        const grid = this.buildGrid(fishEntities);
+
+        // Work out every fish's new velocity before moving any, so the order fish are visited in doesn't matter
+        const velocities = new Map(); // Map of fish ID to new velocity
+        for (const fish of fishEntities.values()) {
+            if (fish.hookedBy !== undefined) continue;
+            velocities.set(fish.id, this.steer(fish, grid, dt));
+        }
+
+        for (const [fishId, velocity] of velocities.entries()) {
+            const fish = fishEntities.get(fishId);
+            fish.velocity = velocity;
+            this.move(fish, dt);
+        }
+    }
+
+    // Bucket fish into cells the size of the perception radius, so neighbour lookups stay cheap
+    buildGrid(fishEntities) {
+        const grid = new Map(); // Map of "x,y,z" cell key to fish in that cell
+        for (const fish of fishEntities.values()) {
+            if (fish.hookedBy !== undefined) continue;
+
+            const cellKey = this.cellKey(fish.position.x, fish.position.y, fish.position.z);
+            if (!grid.has(cellKey)) {
+                grid.set(cellKey, []);
+            }
+            grid.get(cellKey).push(fish);
+        }
+        return grid;
+    }
+
+    cellKey(x, y, z) {
+        return `${Math.floor(x / PERCEPTION_RADIUS)},${Math.floor(y / PERCEPTION_RADIUS)},${Math.floor(z / PERCEPTION_RADIUS)}`;
+    }
+
+    // Fish within the perception radius, from the 27 cells around this one
+    neighbours(fish, grid) {
+        const cx = Math.floor(fish.position.x / PERCEPTION_RADIUS);
+        const cy = Math.floor(fish.position.y / PERCEPTION_RADIUS);
+        const cz = Math.floor(fish.position.z / PERCEPTION_RADIUS);
+        const result = [];
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const cell = grid.get(`${cx + dx},${cy + dy},${cz + dz}`);
+                    if (!cell) continue;
+
+                    for (const other of cell) {
+                        if (other === fish) continue;
+                        const distance = distanceBetween(fish.position, other.position);
+                        if (distance < PERCEPTION_RADIUS) {
+                            result.push({ fish: other, distance });
+                        }
+                    }
+                }
+            }
+        }
+        return result;
+    }
+
+    // Combine the steering rules into a new velocity for one fish
+    steer(fish, grid, dt) {
+        const species = getSpecies(fish.speciesId);
+        const steering = { x: 0, y: 0, z: 0 };
+
+        this.addFlocking(steering, fish, this.neighbours(fish, grid));
+        this.addWander(steering, fish, species, dt);
+        this.addDepthKeeping(steering, fish, species);
+        this.addObstacleAvoidance(steering, fish);
+        this.addEdgeAvoidance(steering, fish);
+        this.addBehaviourSteering(steering, fish, species);
+
+        const velocity = {
+            x: fish.velocity.x + steering.x * dt,
+            y: fish.velocity.y + steering.y * dt,
+            z: fish.velocity.z + steering.z * dt
+        };
+        const maxSpeed = species.swimSpeed * (BEHAVIOUR_SPEEDS[fish.behaviour] || 1);
+        return clampSpeed(velocity, species.swimSpeed * MIN_SPEED_FACTOR, maxSpeed);
+    }
+
+    // Separation from every nearby fish; alignment and cohesion only with the same species
+    addFlocking(steering, fish, neighbours) {
+        const separation = { x: 0, y: 0, z: 0 };
+        const averageVelocity = { x: 0, y: 0, z: 0 };
+        const centre = { x: 0, y: 0, z: 0 };
+        let schoolmates = 0;
+
+        for (const { fish: other, distance } of neighbours) {
+            if (distance < SEPARATION_RADIUS && distance > 0) {
+                // Push harder the closer the other fish is
+                const push = (SEPARATION_RADIUS - distance) / distance;
+                separation.x += (fish.position.x - other.position.x) * push;
+                separation.y += (fish.position.y - other.position.y) * push;
+                separation.z += (fish.position.z - other.position.z) * push;
+            }
+
+            if (other.speciesId !== fish.speciesId) continue;
+            schoolmates++;
+            averageVelocity.x += other.velocity.x;
+            averageVelocity.y += other.velocity.y;
+            averageVelocity.z += other.velocity.z;
+            centre.x += other.position.x;
+            centre.y += other.position.y;
+            centre.z += other.position.z;
+        }
+
+        addScaled(steering, separation, WEIGHTS.separation);
+        if (schoolmates === 0) return;
+
+        addScaled(steering, {
+            x: averageVelocity.x / schoolmates - fish.velocity.x,
+            y: averageVelocity.y / schoolmates - fish.velocity.y,
+            z: averageVelocity.z / schoolmates - fish.velocity.z
+        }, WEIGHTS.alignment);
+        addScaled(steering, {
+            x: centre.x / schoolmates - fish.position.x,
+            y: centre.y / schoolmates - fish.position.y,
+            z: centre.z / schoolmates - fish.position.z
+        }, WEIGHTS.cohesion);
+    }
+
+    // A slowly drifting preferred heading; alignment spreads it through the school, so schools migrate together
+    addWander(steering, fish, species, dt) {
+        if (fish.wanderAngle === undefined) {
+            fish.wanderAngle = Math.atan2(fish.velocity.x, fish.velocity.z);
+        }
+        fish.wanderAngle += (Math.random() * 2 - 1) * WANDER_JITTER * dt;
+
+        // Steer from the current velocity towards cruising along the wander heading
+        addScaled(steering, {
+            x: Math.sin(fish.wanderAngle) * species.swimSpeed - fish.velocity.x,
+            y: -fish.velocity.y,
+            z: Math.cos(fish.wanderAngle) * species.swimSpeed - fish.velocity.z
+        }, WEIGHTS.wander);
+    }
+
+    // Steer back towards the species' preferred depth band
+    addDepthKeeping(steering, fish, species) {
+        const [minY, maxY] = species.depthRange;
+        if (fish.position.y < minY + DEPTH_MARGIN) {
+            steering.y += (minY + DEPTH_MARGIN - fish.position.y) * WEIGHTS.depth;
+        } else if (fish.position.y > maxY - DEPTH_MARGIN) {
+            steering.y -= (fish.position.y - (maxY - DEPTH_MARGIN)) * WEIGHTS.depth;
+        }
+    }
+
+    // Swim around coral and rocks in the chunks this fish is close to
+    addObstacleAvoidance(steering, fish) {
+        const reach = PERCEPTION_RADIUS;
+        const minChunkX = Math.floor((fish.position.x - reach) / this.chunkSize);
+        const maxChunkX = Math.floor((fish.position.x + reach) / this.chunkSize);
+        const minChunkZ = Math.floor((fish.position.z - reach) / this.chunkSize);
+        const maxChunkZ = Math.floor((fish.position.z + reach) / this.chunkSize);
+
+        for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+            for (let chunkZ = minChunkZ; chunkZ <= maxChunkZ; chunkZ++) {
+                for (const obstacle of this.getObstacles(chunkX, chunkZ)) {
+                    const distance = distanceBetween(fish.position, obstacle);
+                    const clearance = obstacle.radius + OBSTACLE_MARGIN;
+                    if (distance >= clearance || distance === 0) continue;
+
+                    const push = (clearance - distance) / distance;
+                    steering.x += (fish.position.x - obstacle.x) * push * WEIGHTS.obstacle;
+                    steering.y += (fish.position.y - obstacle.y) * push * WEIGHTS.obstacle;
+                    steering.z += (fish.position.z - obstacle.z) * push * WEIGHTS.obstacle;
+                }
+            }
+        }
+    }
+
+    // Turn back before swimming into a chunk that isn't loaded
+    addEdgeAvoidance(steering, fish) {
+        const aheadX = fish.position.x + fish.velocity.x * this.swimScale * EDGE_LOOKAHEAD;
+        const aheadZ = fish.position.z + fish.velocity.z * this.swimScale * EDGE_LOOKAHEAD;
+        if (this.isChunkLoaded(Math.floor(aheadX / this.chunkSize), Math.floor(aheadZ / this.chunkSize))) return;
+
+        // Head for the middle of the chunk the fish is in
+        const centreX = (fish.chunkX + 0.5) * this.chunkSize;
+        const centreZ = (fish.chunkZ + 0.5) * this.chunkSize;
+        steering.x += Math.sign(centreX - fish.position.x) * WEIGHTS.edge;
+        steering.z += Math.sign(centreZ - fish.position.z) * WEIGHTS.edge;
+        fish.wanderAngle = Math.atan2(centreX - fish.position.x, centreZ - fish.position.z);
+    }
+
+    // Steer according to the fish's behaviour state (set by FishBehaviour): away from threats, after prey,
+    // or in for a closer look
+    addBehaviourSteering(steering, fish, species) {
+        const target = fish.behaviourTarget;
+        if (!target) return;
+
+        const offset = {
+            x: target.x - fish.position.x,
+            y: target.y - fish.position.y,
+            z: target.z - fish.position.z
+        };
+        const distance = Math.sqrt(offset.x * offset.x + offset.y * offset.y + offset.z * offset.z);
+        if (distance === 0) return;
+
+        let desiredSpeed, weight;
+        if (fish.behaviour === 'fleeing') {
+            desiredSpeed = -species.swimSpeed * BEHAVIOUR_SPEEDS.fleeing;
+            weight = WEIGHTS.flee;
+        } else if (fish.behaviour === 'hunting') {
+            desiredSpeed = species.swimSpeed * BEHAVIOUR_SPEEDS.hunting;
+            weight = WEIGHTS.chase;
+        } else if (fish.behaviour === 'curious') {
+            // Approach, then back off a little if we're too close
+            desiredSpeed = species.swimSpeed * BEHAVIOUR_SPEEDS.curious * Math.max(-1, Math.min(1, distance - INSPECT_DISTANCE));
+            weight = WEIGHTS.inspect;
+        } else {
+            return;
+        }
+
+        // Steer from the current velocity towards the desired one along the line to the target
+        addScaled(steering, {
+            x: offset.x / distance * desiredSpeed - fish.velocity.x,
+            y: offset.y / distance * desiredSpeed - fish.velocity.y,
+            z: offset.z / distance * desiredSpeed - fish.velocity.z
+        }, weight);
+
+        // Point the wander heading the same way, so the fish doesn't turn straight back afterwards
+        if (fish.behaviour !== 'curious') {
+            fish.wanderAngle = Math.atan2(offset.x * Math.sign(desiredSpeed), offset.z * Math.sign(desiredSpeed));
+        }
+    }
+
+    // Move a fish along its velocity and update its chunk when it crosses into another one
+    move(fish, dt) {
+        const species = getSpecies(fish.speciesId);
+        const x = fish.position.x + fish.velocity.x * this.swimScale * dt;
+        const z = fish.position.z + fish.velocity.z * this.swimScale * dt;
+        const chunkX = Math.floor(x / this.chunkSize);
+        const chunkZ = Math.floor(z / this.chunkSize);
+
+        // Never cross into an unloaded chunk: nothing there would save or despawn the fish
+        if (!this.isChunkLoaded(chunkX, chunkZ)) {
+            fish.velocity.x *= -1;
+            fish.velocity.z *= -1;
+        } else {
+            fish.position.x = x;
+            fish.position.z = z;
+            fish.chunkX = chunkX;
+            fish.chunkZ = chunkZ;
+        }
+
+        // Depth keeping steers softly; this is the hard limit
+        const [minY, maxY] = species.depthRange;
+        fish.position.y = Math.max(minY, Math.min(maxY, fish.position.y + fish.velocity.y * this.swimScale * dt));
+    }
+}
+
+function addScaled(target, vector, scale) {
+    target.x += vector.x * scale;
+    target.y += vector.y * scale;
+    target.z += vector.z * scale;
+}
+
+// Keep a velocity's speed between min and max, preserving its direction
+function clampSpeed(velocity, minSpeed, maxSpeed) {
+    const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+    if (speed === 0) return velocity;
+
+    const scale = speed > maxSpeed ? maxSpeed / speed : speed < minSpeed ? minSpeed / speed : 1;
+    return { x: velocity.x * scale, y: velocity.y * scale, z: velocity.z * scale };
+}
+
+module.exports = { FishSchooling };
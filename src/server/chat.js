@@ -0,0 +1,46 @@
+// Underwater Odyssey - Chat
+// Cleans up chat text (and display names) and rate limits each client; Room.sendChat (room.js) decides who hears each message
+const CHAT_CHANNELS = ['global', 'proximity'];
+const MAX_MESSAGE_LENGTH = 200; // Longer messages are cut short
+const RATE_LIMIT_MESSAGES = 5; // A client may send this many messages...
+const RATE_LIMIT_WINDOW = 10000; // ...in any window this long (ms)
+
+class ChatModerator {
+    constructor() {
+        this.recentMessages = new Map(); // Map of client ID to timestamps of their messages in the current window
+    }
+
+    // Turn raw chat text into something safe to show everyone; returns '' if nothing is left
+    sanitise(text) {
+        return sanitiseText(text, MAX_MESSAGE_LENGTH);
+    }
+
+    // Record a message attempt; returns false if the client has been sending too fast
+    allow(clientId, now = Date.now()) {
+        const timestamps = (this.recentMessages.get(clientId) || []).filter((time) => now - time < RATE_LIMIT_WINDOW);
+        if (timestamps.length >= RATE_LIMIT_MESSAGES) {
+            this.recentMessages.set(clientId, timestamps);
+            return false;
+        }
+
+        timestamps.push(now);
+        this.recentMessages.set(clientId, timestamps);
+        return true;
+    }
+
+    removeClient(clientId) {
+        this.recentMessages.delete(clientId);
+    }
+}
+
+// Strip anything that could hide or fake text from player-written strings, and cap their length
+function sanitiseText(text, maxLength) {
+    return text
+        .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g, ' ') // Control, zero-width and bidi characters
+        .replace(/[<>]/g, '') // No markup, in case a client renders it as HTML
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength);
+}
+
+module.exports = { ChatModerator, sanitiseText, CHAT_CHANNELS, MAX_MESSAGE_LENGTH };
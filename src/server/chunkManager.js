@@ -0,0 +1,73 @@
+// Underwater Odyssey - Server Chunk Manager
+// Loads chunks around players, and unloads chunks nobody has been near for a while
+class ChunkManager {
+    constructor({ loadRadius, idleTimeout, maxSavedChunks, onLoad, onUnload }) {
+        this.loadRadius = loadRadius; // Chunks are kept loaded within this many chunks of a player
+        this.idleTimeout = idleTimeout; // How long (ms) a chunk can be out of every player's range before unloading
+        this.maxSavedChunks = maxSavedChunks; // Most unloaded chunks to remember; the longest unvisited are forgotten first
+        this.onLoad = onLoad; // Called with (chunkX, chunkZ, savedState) when a chunk loads; savedState is null if it should regenerate
+        this.onUnload = onUnload; // Called with (chunkX, chunkZ) when a chunk unloads; returns state to restore later, or null
+
+        this.loadedChunks = new Map(); // Map of "x,z" chunk key to {x, z, lastActive}
+        this.savedChunks = new Map(); // Map of "x,z" chunk key to state saved when the chunk unloaded
+    }
+
+    isLoaded(chunkX, chunkZ) {
+        return this.loadedChunks.has(`${chunkX},${chunkZ}`);
+    }
+
+    // Make sure every chunk within the load radius of a chunk is loaded, and mark them active
+    loadAround(chunkX, chunkZ) {
+        const now = Date.now();
+
+        for (let dx = -this.loadRadius; dx <= this.loadRadius; dx++) {
+            for (let dz = -this.loadRadius; dz <= this.loadRadius; dz++) {
+                const x = chunkX + dx;
+                const z = chunkZ + dz;
+                const chunkKey = `${x},${z}`;
+
+                const chunk = this.loadedChunks.get(chunkKey);
+                if (chunk) {
+                    chunk.lastActive = now;
+                    continue;
+                }
+
+                // Restore what was here last time, or let the world spawn it fresh
+                const savedState = this.savedChunks.has(chunkKey) ? this.savedChunks.get(chunkKey) : null;
+                this.savedChunks.delete(chunkKey);
+                this.loadedChunks.set(chunkKey, { x, z, lastActive: now });
+                this.onLoad(x, z, savedState);
+            }
+        }
+    }
+
+    // Keep chunks near players active and unload the ones that have been idle too long
+    update(playerChunks) {
+        const now = Date.now();
+
+        for (const chunk of playerChunks.values()) {
+            this.loadAround(chunk.x, chunk.z);
+        }
+
+        for (const [chunkKey, chunk] of this.loadedChunks.entries()) {
+            if (now - chunk.lastActive < this.idleTimeout) continue;
+
+            this.loadedChunks.delete(chunkKey);
+            this.saveState(chunk.x, chunk.z, this.onUnload(chunk.x, chunk.z));
+        }
+    }
+
+    // Remember an unloaded chunk's state until it loads again; null means there is nothing worth restoring
+    saveState(chunkX, chunkZ, state) {
+        const chunkKey = `${chunkX},${chunkZ}`;
+        this.savedChunks.delete(chunkKey); // Re-inserting keeps the map ordered from oldest to newest
+        if (state === null) return;
+
+        this.savedChunks.set(chunkKey, state);
+        while (this.savedChunks.size > this.maxSavedChunks) {
+            this.savedChunks.delete(this.savedChunks.keys().next().value);
+        }
+    }
+}
+
+module.exports = { ChunkManager };
@@ -0,0 +1,161 @@
+// Underwater Odyssey - Fish Behaviour
+// Perception and behaviour states: fish notice divers and each other, and decide whether to
+// idle, investigate (curious), flee or hunt; the schooling module turns the state into steering
+const { getSpecies } = require('./species');
+const { distanceBetween } = require('./vectors');
+
+// How each temperament reacts to divers
+const TEMPERAMENTS = {
+    skittish: { fleeRadius: 6, fleeSpeed: 2, curious: false }, // Bolts from anything approaching quickly
+    curious: { fleeRadius: 2.5, fleeSpeed: 6, curious: true }, // Comes to look at slow divers; only a charge scares it
+    calm: { fleeRadius: 3, fleeSpeed: 5, curious: false }
+};
+
+const CURIOUS_RADIUS = 8; // Curious fish notice slow divers this close
+const SLOW_DIVER_SPEED = 2; // Divers slower than this are interesting rather than threatening
+const FLEE_MEMORY = 2000; // Keep fleeing this long (ms) after the threat was last seen
+
+const HUNT_RADIUS = 6; // Predators look for prey this close
+const HUNT_CHANCE = 0.2; // Chance per second that an idle predator starts a hunt when prey is near
+const HUNT_DURATION = 5000; // Predators give up a chase after this long (ms)
+const HUNT_COOLDOWN = 10000; // And rest this long (ms) before hunting again
+const PREY_SIZE_RATIO = 0.75; // Predators only chase fish smaller than this fraction of their own size
+
+class FishBehaviour {
+    // Update every fish's behaviour state from what it can perceive this step (dt in seconds)
+    update(fishEntities, playerPositions, playerVelocities, dt) {
+        const now = Date.now();
+
+        // Prey knows when it's being chased
+        const hunters = new Map(); // Map of prey fish ID to the predator chasing it
+        for (const fish of fishEntities.values()) {
+            if (fish.behaviour === 'hunting') {
+                hunters.set(fish.huntTargetId, fish);
+            }
+        }
+
+        for (const fish of fishEntities.values()) {
+            // Fish on someone's line have more pressing concerns
+            if (fish.hookedBy !== undefined) {
+                setBehaviour(fish, 'idle', null);
+                continue;
+            }
+
+            const species = getSpecies(fish.speciesId);
+            const temperament = TEMPERAMENTS[species.temperament] || TEMPERAMENTS.calm;
+
+            const threat = this.findThreat(fish, temperament, hunters.get(fish.id), playerPositions, playerVelocities);
+            if (threat) {
+                setBehaviour(fish, 'fleeing', { ...threat });
+                fish.behaviourUntil = now + FLEE_MEMORY;
+                continue;
+            }
+            if (fish.behaviour === 'fleeing' && now < fish.behaviourUntil) continue;
+
+            if (species.predator && this.updateHunt(fish, species, fishEntities, now, dt)) continue;
+
+            const diver = temperament.curious ? this.findInterestingDiver(fish, playerPositions, playerVelocities) : null;
+            if (diver) {
+                setBehaviour(fish, 'curious', diver);
+                continue;
+            }
+
+            setBehaviour(fish, 'idle', null);
+        }
+    }
+
+    // A hunting predator, or a diver coming at the fish fast enough to scare it; returns its position or null
+    findThreat(fish, temperament, hunter, playerPositions, playerVelocities) {
+        if (hunter && distanceBetween(fish.position, hunter.position) < HUNT_RADIUS) {
+            return hunter.position;
+        }
+
+        for (const [clientId, position] of playerPositions.entries()) {
+            const distance = distanceBetween(fish.position, position);
+            if (distance >= temperament.fleeRadius || distance === 0) continue;
+
+            // How fast the diver is closing in on the fish
+            const velocity = playerVelocities.get(clientId) || { x: 0, y: 0, z: 0 };
+            const approachSpeed = (
+                velocity.x * (fish.position.x - position.x) +
+                velocity.y * (fish.position.y - position.y) +
+                velocity.z * (fish.position.z - position.z)
+            ) / distance;
+            if (approachSpeed > temperament.fleeSpeed) {
+                return position;
+            }
+        }
+        return null;
+    }
+
+    // The closest slow-moving diver within view, or null
+    findInterestingDiver(fish, playerPositions, playerVelocities) {
+        let closest = null;
+        let closestDistance = CURIOUS_RADIUS;
+
+        for (const [clientId, position] of playerPositions.entries()) {
+            const velocity = playerVelocities.get(clientId) || { x: 0, y: 0, z: 0 };
+            if (Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z) >= SLOW_DIVER_SPEED) continue;
+
+            const distance = distanceBetween(fish.position, position);
+            if (distance < closestDistance) {
+                closest = position;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    // Keep a predator's chase going, end it, or start a new one; returns true while the predator is hunting
+    updateHunt(fish, species, fishEntities, now, dt) {
+        if (fish.behaviour === 'hunting') {
+            const prey = fishEntities.get(fish.huntTargetId);
+            if (prey && prey.hookedBy === undefined && now < fish.behaviourUntil &&
+                distanceBetween(fish.position, prey.position) < HUNT_RADIUS * 1.5) {
+                fish.behaviourTarget = prey.position;
+                return true;
+            }
+
+            // The prey got away (or was caught by someone else); rest before trying again
+            fish.huntCooldownUntil = now + HUNT_COOLDOWN;
+            delete fish.huntTargetId;
+            return false;
+        }
+
+        if (now < (fish.huntCooldownUntil || 0) || Math.random() >= HUNT_CHANCE * dt) return false;
+
+        const prey = this.findPrey(fish, species, fishEntities);
+        if (!prey) return false;
+
+        setBehaviour(fish, 'hunting', prey.position);
+        fish.huntTargetId = prey.id;
+        fish.behaviourUntil = now + HUNT_DURATION;
+        return true;
+    }
+
+    // The closest free-swimming fish small enough to chase, or null
+    findPrey(fish, species, fishEntities) {
+        let closest = null;
+        let closestDistance = HUNT_RADIUS;
+
+        for (const other of fishEntities.values()) {
+            if (other === fish || other.hookedBy !== undefined) continue;
+            if (getSpecies(other.speciesId).size >= species.size * PREY_SIZE_RATIO) continue;
+
+            const distance = distanceBetween(fish.position, other.position);
+            if (distance < closestDistance) {
+                closest = other;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+}
+
+// Set a fish's behaviour and the point it's reacting to (what it flees, inspects or chases)
+function setBehaviour(fish, behaviour, target) {
+    fish.behaviour = behaviour;
+    fish.behaviourTarget = target;
+}
+
+module.exports = { FishBehaviour };
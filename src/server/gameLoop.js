@@ -0,0 +1,112 @@
+// Underwater Odyssey - Fixed Timestep Game Loop
+// Runs the simulation in fixed steps regardless of timer jitter, and broadcasts at its own rate
+const { performance } = require('perf_hooks');
+const { createLogger } = require('./logger');
+
+const log = createLogger('gameLoop');
+
+const MAX_CATCH_UP_TICKS = 5; // Never run more than this many ticks in one go; drop the rest
+const OVERRUN_REPORT_INTERVAL = 5000; // Summarize tick overruns at most this often (ms)
+
+class FixedTimestepLoop {
+    constructor({ tickRate, broadcastRate, onTick, onBroadcast }) {
+        this.tickInterval = 1000 / tickRate; // Simulation step length (ms)
+        this.broadcastInterval = 1000 / broadcastRate; // Time between state broadcasts (ms)
+        this.onTick = onTick; // Called with dt in seconds for every simulation step
+        this.onBroadcast = onBroadcast; // Called whenever a broadcast is due
+
+        this.timer = null;
+        this.lastTime = 0;
+        this.accumulator = 0; // Simulation time owed but not yet stepped (ms)
+        this.broadcastAccumulator = 0; // Time since the last broadcast (ms)
+
+        // Loop health, also reported by the overrun summary
+        this.stats = {
+            ticks: 0,
+            broadcasts: 0,
+            overruns: 0, // Steps that took longer than their own interval
+            droppedTime: 0, // Simulation time skipped because the loop fell too far behind (ms)
+            lastTickDuration: 0,
+            maxTickDuration: 0
+        };
+        this.pendingOverruns = 0;
+        this.worstPendingOverrun = 0;
+        this.lastOverrunReport = 0;
+    }
+
+    start() {
+        this.lastTime = performance.now();
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Wake up again when the next simulation step is due
+    schedule() {
+        const delay = Math.max(0, this.tickInterval - this.accumulator);
+        this.timer = setTimeout(() => this.step(), delay);
+    }
+
+    step() {
+        const now = performance.now();
+        const elapsed = now - this.lastTime;
+        this.lastTime = now;
+        this.accumulator += elapsed;
+        this.broadcastAccumulator += elapsed;
+
+        // If we fell far behind (e.g. a long GC pause), skip time rather than spiral trying to catch up
+        const maxBacklog = this.tickInterval * MAX_CATCH_UP_TICKS;
+        if (this.accumulator > maxBacklog) {
+            this.stats.droppedTime += this.accumulator - maxBacklog;
+            this.accumulator = maxBacklog;
+        }
+
+        const dt = this.tickInterval / 1000;
+        while (this.accumulator >= this.tickInterval) {
+            const tickStart = performance.now();
+            this.onTick(dt);
+            this.recordTick(performance.now() - tickStart);
+            this.accumulator -= this.tickInterval;
+        }
+
+        if (this.broadcastAccumulator >= this.broadcastInterval) {
+            this.broadcastAccumulator %= this.broadcastInterval;
+            this.stats.broadcasts++;
+            this.onBroadcast();
+        }
+
+        this.reportOverruns(now);
+        if (this.timer !== null) {
+            this.schedule();
+        }
+    }
+
+    recordTick(duration) {
+        this.stats.ticks++;
+        this.stats.lastTickDuration = duration;
+        this.stats.maxTickDuration = Math.max(this.stats.maxTickDuration, duration);
+
+        if (duration > this.tickInterval) {
+            this.stats.overruns++;
+            this.pendingOverruns++;
+            this.worstPendingOverrun = Math.max(this.worstPendingOverrun, duration);
+        }
+    }
+
+    // Log a summary of recent overruns instead of one line per slow tick
+    reportOverruns(now) {
+        if (this.pendingOverruns === 0 || now - this.lastOverrunReport < OVERRUN_REPORT_INTERVAL) return;
+
+        log.warn(`Game loop overran ${this.pendingOverruns} tick(s) ` +
+            `(worst ${this.worstPendingOverrun.toFixed(1)}ms, budget ${this.tickInterval.toFixed(1)}ms, ` +
+            `${Math.round(this.stats.droppedTime)}ms of simulation dropped in total)`);
+        this.pendingOverruns = 0;
+        this.worstPendingOverrun = 0;
+        this.lastOverrunReport = now;
+    }
+}
+
+module.exports = { FixedTimestepLoop };
@@ -0,0 +1,63 @@
+// Underwater Odyssey - Area of Interest
+// Tracks which players and fish each client can see, so updates only cover nearby entities
+class InterestManager {
+    constructor(radius) {
+        this.radius = radius; // Visibility radius in chunks around the client's own chunk
+        this.views = new Map(); // Map of client ID to {players: Set, fish: Set} of visible entity IDs
+    }
+
+    // Check whether a chunk falls inside the square of chunks around a center chunk
+    isInRange(centerChunk, chunkX, chunkZ) {
+        return Math.abs(chunkX - centerChunk.x) <= this.radius &&
+            Math.abs(chunkZ - centerChunk.z) <= this.radius;
+    }
+
+    // Recompute a client's view and report which entities entered or left it since the last update
+    update(clientId, centerChunk, playerChunks, fishEntities) {
+        const previous = this.views.get(clientId) || { players: new Set(), fish: new Set() };
+        const current = { players: new Set(), fish: new Set() };
+
+        // A client always sees itself so it can reconcile against the server position
+        for (const [playerId, chunk] of playerChunks.entries()) {
+            if (playerId === clientId || this.isInRange(centerChunk, chunk.x, chunk.z)) {
+                current.players.add(playerId);
+            }
+        }
+
+        for (const [fishId, fish] of fishEntities.entries()) {
+            if (this.isInRange(centerChunk, fish.chunkX, fish.chunkZ)) {
+                current.fish.add(fishId);
+            }
+        }
+
+        this.views.set(clientId, current);
+
+        return {
+            players: current.players,
+            fish: current.fish,
+            entered: {
+                players: Array.from(current.players).filter((id) => !previous.players.has(id)),
+                fish: Array.from(current.fish).filter((id) => !previous.fish.has(id))
+            },
+            left: {
+                players: Array.from(previous.players).filter((id) => !current.players.has(id)),
+                fish: Array.from(previous.fish).filter((id) => !current.fish.has(id))
+            }
+        };
+    }
+
+    // Record that a client was already told about a fish, so it isn't announced twice
+    markFishVisible(clientId, fishId) {
+        const view = this.views.get(clientId);
+        if (view) {
+            view.fish.add(fishId);
+        }
+    }
+
+    // Forget what a client can see, e.g. when it disconnects or gets a full resync
+    reset(clientId) {
+        this.views.delete(clientId);
+    }
+}
+
+module.exports = { InterestManager };
@@ -0,0 +1,21 @@
+// Underwater Odyssey - JSON File Storage
+// Reads and safely rewrites the small JSON databases the server keeps on local disk
+const fs = require('fs');
+const path = require('path');
+
+// Parse a JSON file; returns null if it doesn't exist yet
+function readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write to a temporary file first and rename it into place, so a crash never leaves a half-written file
+function writeJsonFile(filePath, data, indent) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, indent));
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,44 @@
+// Underwater Odyssey - Logging
+// Per-module log levels, so chatty modules can be turned up for debugging without flooding everything else
+// LOG_LEVEL sets the default (error, warn, info or debug) and LOG_LEVELS overrides it per module, e.g. "room=debug,chat=warn"
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const DEFAULT_LEVEL = parseLevel(process.env.LOG_LEVEL, 'info');
+const moduleLevels = parseModuleLevels(process.env.LOG_LEVELS || '');
+
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+// Create a logger for a module; messages above the module's level are dropped before they are formatted
+function createLogger(module) {
+    const threshold = LEVELS.indexOf(moduleLevels.has(module) ? moduleLevels.get(module) : DEFAULT_LEVEL);
+
+    const logger = {};
+    for (const level of LEVELS) {
+        const enabled = LEVELS.indexOf(level) <= threshold;
+        const method = CONSOLE_METHODS[level];
+        logger[level] = enabled
+            ? (...args) => console[method](`[${module}]`, ...args)
+            : () => {};
+    }
+
+    // For messages that are expensive to build, e.g. inside the game loop
+    logger.isEnabled = (level) => LEVELS.indexOf(level) <= threshold;
+    return logger;
+}
+
+function parseLevel(value, fallback) {
+    return LEVELS.includes(value) ? value : fallback;
+}
+
+// Parse "module=level,module=level" into a Map of module to level, ignoring anything malformed
+function parseModuleLevels(spec) {
+    const levels = new Map();
+    for (const entry of spec.split(',')) {
+        const [module, level] = entry.split('=').map((part) => part && part.trim());
+        if (module && LEVELS.includes(level)) {
+            levels.set(module, level);
+        }
+    }
+    return levels;
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,151 @@
+// Underwater Odyssey - Metrics
+// Counters, gauges and histograms rendered in the Prometheus text exposition format for /metrics
+const METRIC_PREFIX = 'odyssey_';
+
+// Default histogram buckets (seconds), sized for a 50ms tick budget
+const DURATION_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25];
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.type = 'counter';
+        this.series = new Map(); // Map of label string to {labels, value}
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, value: 0 };
+            this.series.set(key, series);
+        }
+        series.value += amount;
+    }
+
+    // Forget every series with these labels, e.g. all of a room's series once it closes
+    remove(labels) {
+        removeSeries(this.series, labels);
+    }
+
+    render() {
+        return [...this.series.entries()].map(([labels, series]) => `${this.name}${labels} ${series.value}`);
+    }
+}
+
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect; // Called at scrape time; returns an array of {labels, value}
+    }
+
+    render() {
+        return this.collect().map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = DURATION_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.type = 'histogram';
+        this.buckets = buckets;
+        this.series = new Map(); // Map of label string to {labels, counts, sum, count}
+    }
+
+    observe(labels, value) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) series.counts[i]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    remove(labels) {
+        removeSeries(this.series, labels);
+    }
+
+    render() {
+        const lines = [];
+        for (const series of this.series.values()) {
+            for (let i = 0; i < this.buckets.length; i++) {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: this.buckets[i] })} ${series.counts[i]}`);
+            }
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map(); // Map of metric name to Counter, Gauge or Histogram
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(METRIC_PREFIX + name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(METRIC_PREFIX + name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(METRIC_PREFIX + name, help, buckets));
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    // Every metric in the Prometheus text format
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.render());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Delete every series whose labels include all of the given ones
+function removeSeries(seriesMap, labels) {
+    for (const [key, series] of seriesMap) {
+        if (Object.entries(labels).every(([name, value]) => String(series.labels[name]) === String(value))) {
+            seriesMap.delete(key);
+        }
+    }
+}
+
+// {room: "main", le: 0.5} -> {room="main",le="0.5"}
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(String(value))}"`).join(',')}}`;
+}
+
+function escapeLabel(value) {
+    return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// The server's one registry, shared by every module that reports metrics
+const registry = new MetricsRegistry();
+
+module.exports = { registry, MetricsRegistry };
@@ -0,0 +1,75 @@
+// Underwater Odyssey - Oxygen
+// Each diver's air supply: drains faster the deeper they are and while sprinting, and refills at the surface
+const WorldGen = require('../shared/worldGen');
+
+const MAX_OXYGEN = 100;
+const BASE_DRAIN = 1; // Oxygen used per second just below the surface
+const DEPTH_DRAIN = 0.04; // Extra oxygen used per second for every unit of depth
+const SPRINT_DRAIN_MULTIPLIER = 2.5; // Sprinting burns through air this many times faster
+const SURFACE_REFILL = 25; // Oxygen regained per second at the surface
+const SURFACED_Y = WorldGen.SURFACE_Y - 1; // Divers at least this high have their head above water
+
+class OxygenSupply {
+    constructor() {
+        this.levels = new Map(); // Map of client ID to remaining oxygen (0 to MAX_OXYGEN)
+    }
+
+    addPlayer(clientId, oxygen = MAX_OXYGEN) {
+        this.levels.set(clientId, Math.max(0, Math.min(MAX_OXYGEN, oxygen)));
+    }
+
+    removePlayer(clientId) {
+        this.levels.delete(clientId);
+    }
+
+    getOxygen(clientId) {
+        return this.levels.get(clientId);
+    }
+
+    // Remaining oxygen as a fraction of a full tank, for the HUD
+    getFraction(clientId) {
+        return (this.levels.get(clientId) || 0) / MAX_OXYGEN;
+    }
+
+    refill(clientId) {
+        if (this.levels.has(clientId)) {
+            this.levels.set(clientId, MAX_OXYGEN);
+        }
+    }
+
+    // Drain or refill every diver's oxygen for a step of dt seconds; returns the IDs of divers who ran out
+    update(playerPositions, playerKeys, dt) {
+        const blackedOut = [];
+
+        for (const [clientId, oxygen] of this.levels.entries()) {
+            const position = playerPositions.get(clientId);
+            if (!position) continue;
+
+            if (position.y >= SURFACED_Y) {
+                this.levels.set(clientId, Math.min(MAX_OXYGEN, oxygen + SURFACE_REFILL * dt));
+                continue;
+            }
+
+            const depth = WorldGen.SURFACE_Y - position.y;
+            let drain = BASE_DRAIN + depth * DEPTH_DRAIN;
+            if (isSprinting(playerKeys.get(clientId))) {
+                drain *= SPRINT_DRAIN_MULTIPLIER;
+            }
+
+            const remaining = Math.max(0, oxygen - drain * dt);
+            this.levels.set(clientId, remaining);
+            if (remaining === 0) {
+                blackedOut.push(clientId);
+            }
+        }
+        return blackedOut;
+    }
+}
+
+// Sprinting only costs air while the diver is actually swimming
+function isSprinting(keyState) {
+    return Boolean(keyState && keyState.Sprint &&
+        (keyState.ArrowUp || keyState.ArrowDown || keyState.ArrowLeft || keyState.ArrowRight));
+}
+
+module.exports = { OxygenSupply, MAX_OXYGEN };
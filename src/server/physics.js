@@ -0,0 +1,147 @@
+// Underwater Odyssey - Server Physics
+// Authoritative cannon-es world: static terrain for every loaded chunk, plus a dynamic body per player
+const CANNON = require('cannon-es');
+const WorldGen = require('../shared/worldGen');
+const Movement = require('../shared/movement');
+
+const { PLAYER_HALF_EXTENT, MIN_PLAYER_Y, MAX_PLAYER_Y } = Movement; // Players are 1x1x1 boxes, matching the client cube
+const PLAYER_MASS = 5;
+
+class PhysicsWorld {
+    constructor(seed) {
+        this.seed = seed; // World seed, so terrain matches what clients generate
+
+        this.world = new CANNON.World({ gravity: new CANNON.Vec3(0, 0, 0) }); // No gravity underwater
+        this.world.broadphase = new CANNON.SAPBroadphase(this.world); // Scales far better than naive with lots of static coral
+        this.world.defaultContactMaterial.friction = 0.0;
+        this.world.defaultContactMaterial.restitution = 0.0;
+
+        // The sea floor is one infinite plane facing up
+        const seafloor = new CANNON.Body({ mass: 0, shape: new CANNON.Plane() });
+        seafloor.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+        seafloor.position.set(0, WorldGen.SEAFLOOR_Y, 0);
+        this.world.addBody(seafloor);
+
+        this.chunkBodies = new Map(); // Map of "x,z" chunk key to the static compound body for its terrain
+        this.chunkObstacles = new Map(); // Map of "x,z" chunk key to [{x, y, z, radius}] bounding spheres of its terrain
+        this.playerBodies = new Map(); // Map of client ID to player body
+    }
+
+    // Add static colliders for a chunk's generated coral and rocks
+    addChunkTerrain(chunkX, chunkZ) {
+        const chunkKey = `${chunkX},${chunkZ}`;
+        if (this.chunkBodies.has(chunkKey)) return;
+
+        const chunkData = WorldGen.generateChunk(this.seed, chunkX, chunkZ);
+        const obstacles = [];
+
+        // One compound body per chunk: cannon-es tracks every pair of bodies, so a body per coral
+        // makes adding, removing and stepping cost grow with the square of the loaded terrain
+        const body = new CANNON.Body({
+            mass: 0,
+            position: new CANNON.Vec3(chunkX * WorldGen.CHUNK_SIZE, 0, chunkZ * WorldGen.CHUNK_SIZE)
+        });
+
+        for (const coral of chunkData.coral) {
+            const halfExtent = 0.25 * coral.scale; // Coral meshes are 0.5 boxes, scaled
+            const shape = new CANNON.Box(new CANNON.Vec3(halfExtent, halfExtent, halfExtent));
+            this.addTerrainShape(body, shape, coral,
+                new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(0, 1, 0), coral.rotation));
+            obstacles.push({ x: coral.x, y: coral.y, z: coral.z, radius: shape.boundingSphereRadius });
+        }
+
+        for (const rock of chunkData.rocks) {
+            // Rock meshes are flattened dodecahedrons; a slightly smaller sphere is close enough
+            const shape = new CANNON.Sphere(rock.radius * 0.8);
+            this.addTerrainShape(body, shape, rock);
+            obstacles.push({ x: rock.x, y: rock.y, z: rock.z, radius: shape.boundingSphereRadius });
+        }
+
+        if (body.shapes.length > 0) {
+            this.world.addBody(body);
+        }
+        this.chunkBodies.set(chunkKey, body);
+        this.chunkObstacles.set(chunkKey, obstacles);
+    }
+
+    // Add one piece of terrain to a chunk body, offset from the chunk's corner to its world position
+    addTerrainShape(body, shape, position, orientation) {
+        const offset = new CANNON.Vec3(position.x - body.position.x, position.y, position.z - body.position.z);
+        body.addShape(shape, offset, orientation);
+    }
+
+    // Remove a chunk's terrain colliders when it unloads
+    removeChunkTerrain(chunkX, chunkZ) {
+        const chunkKey = `${chunkX},${chunkZ}`;
+        const body = this.chunkBodies.get(chunkKey);
+        if (!body) return;
+
+        if (body.shapes.length > 0) {
+            this.world.removeBody(body);
+        }
+        this.chunkBodies.delete(chunkKey);
+        this.chunkObstacles.delete(chunkKey);
+    }
+
+    // Bounding spheres of a loaded chunk's terrain, for things that steer around it rather than collide
+    getObstacles(chunkX, chunkZ) {
+        return this.chunkObstacles.get(`${chunkX},${chunkZ}`) || [];
+    }
+
+    // Create a dynamic body for a player
+    addPlayer(clientId, position, velocity) {
+        this.removePlayer(clientId);
+
+        const body = new CANNON.Body({
+            mass: PLAYER_MASS,
+            shape: new CANNON.Box(new CANNON.Vec3(PLAYER_HALF_EXTENT, PLAYER_HALF_EXTENT, PLAYER_HALF_EXTENT)),
+            fixedRotation: true // Divers steer themselves; collisions shouldn't spin them
+        });
+        body.position.set(position.x, position.y, position.z);
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+        body.linearDamping = 0; // Velocity is set from player input every tick, which already models water resistance
+
+        this.world.addBody(body);
+        this.playerBodies.set(clientId, body);
+        return body;
+    }
+
+    removePlayer(clientId) {
+        const body = this.playerBodies.get(clientId);
+        if (!body) return;
+
+        this.world.removeBody(body);
+        this.playerBodies.delete(clientId);
+    }
+
+    getPlayerBody(clientId) {
+        return this.playerBodies.get(clientId);
+    }
+
+    // Move a player straight to a position and stop them, e.g. when respawning
+    teleportPlayer(clientId, position) {
+        const body = this.playerBodies.get(clientId);
+        if (!body) return;
+
+        body.position.set(position.x, position.y, position.z);
+        body.velocity.set(0, 0, 0);
+    }
+
+    // Advance the physics world by one fixed step of dt seconds
+    step(dt) {
+        this.world.step(dt);
+
+        // Keep divers between the sea floor and the surface, even if a fast body slips past the floor plane
+        for (const body of this.playerBodies.values()) {
+            if (body.position.y > MAX_PLAYER_Y) {
+                body.position.y = MAX_PLAYER_Y;
+                body.velocity.y = Math.min(body.velocity.y, 0);
+            } else if (body.position.y < MIN_PLAYER_Y) {
+                body.position.y = MIN_PLAYER_Y;
+                body.velocity.y = Math.max(body.velocity.y, 0);
+            }
+        }
+    }
+}
+
+module.exports = { PhysicsWorld };
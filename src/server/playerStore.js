@@ -0,0 +1,89 @@
+// Underwater Odyssey - Player Profile Store
+// Keeps player profiles in memory and persists them to a JSON file on local disk
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('players');
+const DEFAULT_APPEARANCE = { color: '#00ff00', style: 'classic' };
+
+class PlayerStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.profiles = new Map(); // Map of profile ID to profile data
+        this.dirty = false; // True when there are changes not yet written to disk
+        this.nextDiverNumber = 1; // Used to build default display names
+    }
+
+    // Load all profiles from disk (missing file means an empty store)
+    load() {
+        try {
+            const contents = readJsonFile(this.filePath);
+            if (!contents) {
+                log.info(`No player database at ${this.filePath}, starting fresh`);
+                return;
+            }
+
+            for (const profile of contents.profiles || []) {
+                this.profiles.set(profile.id, profile);
+            }
+            this.nextDiverNumber = contents.nextDiverNumber || this.profiles.size + 1;
+            log.info(`Loaded ${this.profiles.size} player profiles from ${this.filePath}`);
+        } catch (error) {
+            log.error('Error loading player database:', error);
+        }
+    }
+
+    // Find a profile by ID, creating a new one if the ID is unknown or invalid
+    getOrCreate(profileId) {
+        if (typeof profileId === 'string' && this.profiles.has(profileId)) {
+            const profile = this.profiles.get(profileId);
+            profile.lastSeen = Date.now();
+            this.dirty = true;
+            return profile;
+        }
+
+        const profile = {
+            id: crypto.randomUUID(),
+            name: `Diver ${this.nextDiverNumber++}`,
+            appearance: { ...DEFAULT_APPEARANCE }, // Suit colour and style, chosen on the join screen
+            inventory: [], // Caught fish, oldest first
+            lastPosition: { x: 0, y: 0, z: 0 },
+            stats: {
+                fishCaught: 0,
+                fishEscaped: 0,
+                castsMade: 0,
+                distanceSwum: 0,
+                playTime: 0 // Total connected time in ms
+            },
+            createdAt: Date.now(),
+            lastSeen: Date.now()
+        };
+
+        this.profiles.set(profile.id, profile);
+        this.dirty = true;
+        return profile;
+    }
+
+    // Flag that a profile changed so the next flush writes it out
+    markDirty() {
+        this.dirty = true;
+    }
+
+    // Write all profiles to disk if anything changed
+    flush() {
+        if (!this.dirty) return;
+
+        try {
+            writeJsonFile(this.filePath, {
+                nextDiverNumber: this.nextDiverNumber,
+                profiles: Array.from(this.profiles.values())
+            }, 2);
+            this.dirty = false;
+        } catch (error) {
+            log.error('Error saving player database:', error);
+        }
+    }
+}
+
+module.exports = { PlayerStore, DEFAULT_APPEARANCE };
@@ -0,0 +1,91 @@
+// Underwater Odyssey - Message Rate Limiter
+// Per-connection token buckets for each message type, with escalating responses for clients that keep breaking them
+const MAX_MESSAGE_BYTES = 4096; // Larger frames are dropped unread; no legitimate client message comes close
+
+// Sustained messages per second and burst size allowed for each message type
+const MESSAGE_LIMITS = {
+    movement: { rate: 40, burst: 80 }, // Clients report their position 20 times a second; double that for timer catch-up after a stall
+    keyPress: { rate: 20, burst: 40 },
+    castLine: { rate: 2, burst: 4 },
+    reelIn: { rate: 4, burst: 8 },
+    chat: { rate: 1, burst: 5 }, // The chat moderator applies its own, stricter limit on top
+    join: { rate: 0.2, burst: 3 },
+    joinRoom: { rate: 0.2, burst: 3 },
+    snapshotAck: { rate: 20, burst: 40 },
+    snapshotRequest: { rate: 1, burst: 5 }
+};
+const DEFAULT_LIMIT = { rate: 5, burst: 10 }; // For anything not listed, including messages that fail validation
+
+// Escalation: every violation is dropped; enough of them within the window earns a warning, then a disconnect
+const VIOLATION_WINDOW = 10000; // Violations older than this (ms) are forgiven
+const WARN_AFTER = 10; // Violations in the window before the client is warned
+const DISCONNECT_AFTER = 40; // Violations in the window before the client is disconnected
+const OVERSIZED_WEIGHT = 5; // An oversized frame counts as this many violations
+
+class TokenBucket {
+    constructor({ rate, burst }, now) {
+        this.rate = rate; // Tokens added per second
+        this.capacity = burst;
+        this.tokens = burst;
+        this.lastRefill = now;
+    }
+
+    // Take a token if one is available; returns false if the bucket is empty
+    take(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / 1000 * this.rate);
+        this.lastRefill = now;
+        if (this.tokens < 1) return false;
+
+        this.tokens--;
+        return true;
+    }
+}
+
+class MessageRateLimiter {
+    constructor(limits = MESSAGE_LIMITS) {
+        this.limits = limits;
+        this.buckets = new Map(); // Map of message type to TokenBucket
+        this.violations = []; // Timestamps of recent violations, oldest first
+        this.warned = false; // Whether the client has been warned since its violations last cleared
+    }
+
+    // Check a message against its type's bucket; returns null if it may be processed, otherwise 'drop', 'warn' or 'disconnect'
+    check(type, now = Date.now()) {
+        const limitType = Object.prototype.hasOwnProperty.call(this.limits, type) ? type : 'default';
+
+        let bucket = this.buckets.get(limitType);
+        if (!bucket) {
+            bucket = new TokenBucket(this.limits[limitType] || DEFAULT_LIMIT, now);
+            this.buckets.set(limitType, bucket);
+        }
+
+        return bucket.take(now) ? null : this.recordViolation(1, now);
+    }
+
+    // Check a frame's size before it is parsed; returns null if it is small enough, otherwise the response
+    checkSize(bytes, now = Date.now()) {
+        return bytes <= MAX_MESSAGE_BYTES ? null : this.recordViolation(OVERSIZED_WEIGHT, now);
+    }
+
+    // Count a violation (e.g. a malformed message) and decide how to respond
+    recordViolation(weight = 1, now = Date.now()) {
+        while (this.violations.length > 0 && now - this.violations[0] >= VIOLATION_WINDOW) {
+            this.violations.shift();
+        }
+        if (this.violations.length === 0) {
+            this.warned = false;
+        }
+        for (let i = 0; i < weight; i++) {
+            this.violations.push(now);
+        }
+
+        if (this.violations.length >= DISCONNECT_AFTER) return 'disconnect';
+        if (this.violations.length >= WARN_AFTER && !this.warned) {
+            this.warned = true;
+            return 'warn';
+        }
+        return 'drop';
+    }
+}
+
+module.exports = { MessageRateLimiter, MAX_MESSAGE_BYTES };
@@ -0,0 +1,1175 @@
+// Underwater Odyssey - Room
+// One independent world instance: its own seed, players, fish, physics and game loop
+const WebSocket = require('ws');
+const { performance } = require('perf_hooks');
+const { DEFAULT_APPEARANCE } = require('./playerStore');
+const { InterestManager } = require('./interest');
+const { SnapshotTracker, quantizePlayer, quantizeFish } = require('./snapshots');
+const BinaryProtocol = require('../shared/binaryProtocol');
+const Protocol = require('../shared/protocol');
+const WorldGen = require('../shared/worldGen');
+const Movement = require('../shared/movement');
+const Biomes = require('../shared/biomes');
+const { FixedTimestepLoop } = require('./gameLoop');
+const { ChunkManager } = require('./chunkManager');
+const { PhysicsWorld } = require('./physics');
+const { getSpecies, pickSpecies, randomInRange } = require('./species');
+const { FishSchooling } = require('./boids');
+const { FishBehaviour } = require('./fishBehaviour');
+const { OxygenSupply } = require('./oxygen');
+const { ChatModerator, CHAT_CHANNELS, sanitiseText } = require('./chat');
+const { createLogger } = require('./logger');
+const { registry } = require('./metrics');
+const { distanceBetween } = require('./vectors');
+
+const log = createLogger('room');
+
+// Loop profiling, labelled by room
+const tickDuration = registry.histogram('tick_duration_seconds', 'Time taken by one simulation tick');
+const phaseDuration = registry.histogram('phase_duration_seconds', 'Time taken by each phase of a tick or broadcast');
+const broadcastBytes = registry.counter('broadcast_bytes_total', 'Bytes of gameState payloads sent to clients');
+const broadcastMessages = registry.counter('broadcast_messages_total', 'gameState payloads sent to clients');
+
+// Game world constants
+const CHUNK_SIZE = WorldGen.CHUNK_SIZE;
+const { MOVE_SPEED, SPRINT_MULTIPLIER } = Movement; // Swim speeds shared with the client
+const FISH_SWIM_SCALE = 0.2; // Fraction of their velocity fish actually cover per second (matches client movementMultiplier)
+const TICK_RATE = Number(process.env.TICK_RATE) || 20; // Simulation steps per second
+const BROADCAST_RATE = Number(process.env.BROADCAST_RATE) || 10; // gameState broadcasts per second
+const SCHOOL_SPREAD = 1.5; // How far (in each direction) school members spawn from their spawn point
+const CHUNK_LOAD_RADIUS = 2; // Chunks within this many chunks of a player are kept loaded
+const CHUNK_IDLE_TIMEOUT = Number(process.env.CHUNK_IDLE_TIMEOUT) || 60000; // Unload chunks out of every player's range this long (ms)
+const MAX_SAVED_CHUNKS = 1000; // Unloaded chunks whose fish are kept; older ones respawn fresh when next visited
+const INTEREST_RADIUS = 2; // Clients only receive entities within this many chunks (matches client LOAD_RADIUS)
+const MOVEMENT_TARGET_TTL = 250; // Follow a client's reported position for this long (ms) before falling back to its keys
+const MAX_PLAYER_SPEED = MOVE_SPEED * SPRINT_MULTIPLIER * 1.25; // Fastest a body may move towards a reported position, with room for jitter
+const CORRECTION_THRESHOLD = 1.0; // Send a correction when a client is this far from where physics put it
+
+// Fishing constants
+const CAST_RANGE = 8; // Max distance between player and fish when casting a line
+const LINE_SNAP_RANGE = 12; // Line snaps if the player swims further than this from the fish
+const HOOK_DELAY_MIN = 500; // Minimum time (ms) before a fish bites
+const HOOK_DELAY_MAX = 2500; // Maximum time (ms) before a fish bites
+const HOOK_WINDOW = 1500; // Time (ms) the player has to reel in after a bite
+
+// Chat constants
+const CHAT_PROXIMITY_RANGE = 20; // Proximity chat reaches divers within this distance of the speaker
+
+// Blackout constants
+const BLACKOUT_CATCH_LOSS = 0.5; // Fraction of their catch (most recent first) a diver drops when they black out
+const RESPAWN_Y = WorldGen.SURFACE_Y - 0.5; // Blacked-out divers come round floating at the surface
+
+class Room {
+    constructor({ name, seed, key, playerStore, sessionStore, checkpoint = null }) {
+        this.name = name;
+        this.seed = seed; // World seed, so every client in the room generates the same reef
+        this.key = key || null; // Private rooms can only be entered with this key
+        this.playerStore = playerStore; // Shared profile store, so catches persist across rooms
+        this.sessionStore = sessionStore; // Shared session store, so a kicked player can't resume straight back in
+        this.createdAt = Date.now();
+
+        // Track connected clients with their IDs
+        this.clients = new Map(); // Map of WebSocket to client ID
+
+        // Track player positions, velocities, and their current chunks
+        this.playerPositions = new Map(); // Map of client ID to {x, y, z} position
+        this.playerVelocities = new Map(); // Map of client ID to {x, y, z} velocity
+        this.playerChunks = new Map(); // Map of client ID to {x, z} chunk coordinates
+        this.playerKeys = new Map(); // Map of client ID to key states {ArrowUp, ArrowDown, ArrowLeft, ArrowRight, Ascend, Dive, Sprint}
+        this.playerProfiles = new Map(); // Map of client ID to persistent profile
+        this.playerSyncTimes = new Map(); // Map of client ID to when play time was last added to the profile
+        this.clientEncodings = new Map(); // Map of client ID to negotiated wire encoding ('binary' or 'json')
+        this.playerTargets = new Map(); // Map of client ID to {position, receivedAt}, the last position the client reported
+        this.sessionTokens = new Map(); // Map of client ID to the session token its connection resumes with
+
+        // Track fish entities
+        this.fishEntities = new Map(); // Map of fish ID to fish data {id, speciesId, chunkX, chunkZ, position, velocity}
+        this.nextFishId = 0;
+
+        // Track fishing attempts
+        this.activeCasts = new Map(); // Map of client ID to {fishId, castTime, hookTime, escapeTime, window, hooked}
+
+        // Changes requested from outside the game loop (e.g. the admin API), applied at the start of the next tick
+        this.pendingActions = []; // Array of {action, resolve, reject}
+
+        // Authoritative physics: terrain colliders for loaded chunks and a body per player
+        this.physicsWorld = new PhysicsWorld(seed);
+
+        // Chat text clean-up and per-client rate limits
+        this.chatModerator = new ChatModerator();
+
+        // Divers' air supply, drained by depth and sprinting and refilled at the surface
+        this.oxygenSupply = new OxygenSupply();
+
+        // Fish perception: decides whether each fish idles, inspects a diver, flees or hunts
+        this.fishBehaviour = new FishBehaviour();
+
+        // Boids-style fish movement, steering around terrain and away from unloaded chunks
+        this.fishSchooling = new FishSchooling({
+            chunkSize: CHUNK_SIZE,
+            swimScale: FISH_SWIM_SCALE,
+            isChunkLoaded: (chunkX, chunkZ) => this.chunkManager.isLoaded(chunkX, chunkZ),
+            getObstacles: (chunkX, chunkZ) => this.physicsWorld.getObstacles(chunkX, chunkZ)
+        });
+
+        // Track which chunks are loaded, spawning fish on first load and saving them on unload
+        this.chunkManager = new ChunkManager({
+            loadRadius: CHUNK_LOAD_RADIUS,
+            idleTimeout: CHUNK_IDLE_TIMEOUT,
+            maxSavedChunks: MAX_SAVED_CHUNKS,
+            onLoad: (chunkX, chunkZ, savedFish) => this.loadChunk(chunkX, chunkZ, savedFish),
+            onUnload: (chunkX, chunkZ) => this.unloadChunk(chunkX, chunkZ)
+        });
+
+        // Pick up where the room left off before the server restarted; fish saved for another seed wouldn't fit the terrain
+        if (checkpoint && checkpoint.seed === seed) {
+            this.restoreCheckpoint(checkpoint);
+        }
+
+        // Track which entities each client can see
+        this.interestManager = new InterestManager(INTEREST_RADIUS);
+
+        // Track the snapshots sent to and acknowledged by each client
+        this.snapshotTracker = new SnapshotTracker();
+
+        this.serializationTime = 0; // Time (ms) spent encoding snapshots in the current broadcast
+
+        // Game state (will be expanded in future steps)
+        this.gameState = {
+            timestamp: Date.now(),
+            players: {}, // Will contain player positions for broadcasting
+            fish: {}, // Will contain fish positions for broadcasting
+            snapshot: { players: {}, fish: {} } // Quantized copies of players and fish for delta snapshots
+        };
+
+        // Game loop - fixed simulation steps at TICK_RATE, broadcasts at BROADCAST_RATE
+        this.gameLoop = new FixedTimestepLoop({
+            tickRate: TICK_RATE,
+            broadcastRate: BROADCAST_RATE,
+            onTick: (dt) => this.simulationTick(dt),
+            onBroadcast: () => this.broadcastGameState()
+        });
+    }
+
+    get isPrivate() {
+        return this.key !== null;
+    }
+
+    get playerCount() {
+        return this.clients.size;
+    }
+
+    start() {
+        this.gameLoop.start();
+    }
+
+    stop() {
+        this.gameLoop.stop();
+
+        // Drop this room's metric series, so rooms that come and go don't pile up in /metrics
+        for (const metric of [tickDuration, phaseDuration, broadcastBytes, broadcastMessages]) {
+            metric.remove({ room: this.name });
+        }
+
+        // Nothing will run these now
+        for (const pending of this.pendingActions.splice(0)) {
+            pending.reject(new Error(`Room ${this.name} has closed`));
+        }
+    }
+
+    hasPlayer(clientId) {
+        return this.playerPositions.has(clientId);
+    }
+
+    // Run a change on the next simulation tick, so it lands between steps like any player input;
+    // resolves with whatever the action returns
+    queueAction(action) {
+        return new Promise((resolve, reject) => {
+            this.pendingActions.push({ action, resolve, reject });
+        });
+    }
+
+    runPendingActions() {
+        for (const pending of this.pendingActions.splice(0)) {
+            try {
+                pending.resolve(pending.action());
+            } catch (error) {
+                pending.reject(error);
+            }
+        }
+    }
+
+    // Bring a connected client into the world, then send it everything it needs to start playing
+    addPlayer(ws, { clientId, sessionToken, profile, encoding, position, velocity, oxygen }) {
+        this.playerProfiles.set(clientId, profile);
+        this.sessionTokens.set(clientId, sessionToken);
+        this.playerSyncTimes.set(clientId, Date.now());
+        this.clientEncodings.set(clientId, encoding);
+
+        // Set player's initial position and chunk
+        const startingChunkX = Math.floor(position.x / CHUNK_SIZE);
+        const startingChunkZ = Math.floor(position.z / CHUNK_SIZE);
+        this.playerPositions.set(clientId, position);
+        this.playerVelocities.set(clientId, velocity);
+        this.playerChunks.set(clientId, { x: startingChunkX, z: startingChunkZ });
+        this.playerKeys.set(clientId, {
+            ArrowUp: false,
+            ArrowDown: false,
+            ArrowLeft: false,
+            ArrowRight: false,
+            Ascend: false,
+            Dive: false,
+            Sprint: false
+        });
+
+        // Load the area around the starting position (5x5 grid), spawning fish where needed
+        this.chunkManager.loadAround(startingChunkX, startingChunkZ);
+        this.physicsWorld.addPlayer(clientId, position, velocity);
+        this.oxygenSupply.addPlayer(clientId, oxygen);
+
+        // Register the client only now, so the resync below covers the fish spawned above
+        this.clients.set(ws, clientId);
+
+        // Send the full world state so the client can rebuild from scratch
+        this.sendResync(ws, clientId);
+
+        // Introduce the newcomer to everyone, and everyone already here to the newcomer
+        this.broadcast(this.describeAppearance(clientId));
+        for (const otherId of this.clients.values()) {
+            if (otherId !== clientId) {
+                ws.send(JSON.stringify(this.describeAppearance(otherId)));
+            }
+        }
+    }
+
+    // Take a client out of the world; returns the state needed to put them back later
+    removePlayer(ws, reason = 'disconnected') {
+        const clientId = this.clients.get(ws);
+        if (clientId === undefined) return null;
+
+        if (this.activeCasts.has(clientId)) {
+            this.endCatchAttempt(clientId, false, reason);
+        }
+
+        // Save where the diver left off
+        this.syncProfile(clientId);
+
+        const state = {
+            position: this.playerPositions.get(clientId),
+            velocity: this.playerVelocities.get(clientId) || { x: 0, y: 0, z: 0 },
+            oxygen: this.oxygenSupply.getOxygen(clientId)
+        };
+
+        this.playerProfiles.delete(clientId);
+        this.playerSyncTimes.delete(clientId);
+        this.interestManager.reset(clientId);
+        this.snapshotTracker.reset(clientId);
+        this.clientEncodings.delete(clientId);
+        this.sessionTokens.delete(clientId);
+        this.clients.delete(ws);
+        this.playerPositions.delete(clientId);
+        this.playerVelocities.delete(clientId);
+        this.playerChunks.delete(clientId);
+        this.playerKeys.delete(clientId);
+        this.playerTargets.delete(clientId);
+        this.physicsWorld.removePlayer(clientId);
+        this.oxygenSupply.removePlayer(clientId);
+        this.chatModerator.removeClient(clientId);
+        return state;
+    }
+
+    // Handle an in-game message from one of this room's clients (already validated against the protocol)
+    handleMessage(ws, clientId, parsedMessage) {
+        // Handle key press messages
+        if (parsedMessage.type === 'keyPress') {
+            const keyState = this.playerKeys.get(clientId);
+            if (keyState && parsedMessage.key in keyState) {
+                keyState[parsedMessage.key] = parsedMessage.pressed;
+                // No need to send a response, this will be reflected in the next game state update
+            }
+        }
+
+        // Handle player movement messages
+        else if (parsedMessage.type === 'movement') {
+            // The reported position is only where the client wants to be; physics decides where it ends up
+            this.playerTargets.set(clientId, {
+                position: parsedMessage.position,
+                receivedAt: Date.now()
+            });
+        }
+
+        // Handle casting a fishing line at a fish
+        else if (parsedMessage.type === 'castLine') {
+            const rejection = this.castLine(clientId, parsedMessage.fishId);
+            if (rejection) {
+                ws.send(JSON.stringify({
+                    type: 'castRejected',
+                    fishId: parsedMessage.fishId,
+                    reason: rejection
+                }));
+            }
+        }
+
+        // Handle reeling in the fishing line
+        else if (parsedMessage.type === 'reelIn') {
+            this.reelIn(clientId);
+        }
+
+        // Handle a diver choosing their name and suit
+        else if (parsedMessage.type === 'join') {
+            const rejection = this.joinPlayer(clientId, parsedMessage);
+            if (rejection) {
+                sendError(ws, 'invalidJoin', rejection, 'join');
+            }
+        }
+
+        // Handle chat messages
+        else if (parsedMessage.type === 'chat') {
+            const rejection = this.sendChat(clientId, parsedMessage.channel, parsedMessage.text);
+            if (rejection) {
+                sendError(ws, rejection.code, rejection.message, 'chat');
+            }
+        }
+
+        // Handle a client confirming it applied a snapshot
+        else if (parsedMessage.type === 'snapshotAck') {
+            this.snapshotTracker.acknowledge(clientId, parsedMessage.seq);
+        }
+
+        // Handle a client that lost its baseline and needs a full snapshot
+        else if (parsedMessage.type === 'snapshotRequest') {
+            this.snapshotTracker.requestFull(clientId);
+        }
+    }
+
+    // Send a message to every client in the room
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        for (const client of this.clients.keys()) {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(data);
+            }
+        }
+    }
+
+    // Send a message to a single client by ID
+    sendToClient(clientId, message) {
+        for (const [client, id] of this.clients.entries()) {
+            if (id === clientId && client.readyState === WebSocket.OPEN) {
+                client.send(JSON.stringify(message));
+            }
+        }
+    }
+
+    // Send a client everything in its area of interest so it can rebuild its view of the world
+    sendResync(ws, clientId) {
+        // Start the client's view from scratch so later enter/leave events line up with what we send
+        this.interestManager.reset(clientId);
+        this.snapshotTracker.reset(clientId);
+        const view = this.interestManager.update(clientId, this.playerChunks.get(clientId), this.playerChunks, this.fishEntities);
+
+        const players = {};
+        for (const playerId of view.players) {
+            players[playerId] = this.playerPositions.get(playerId);
+        }
+
+        const fish = {};
+        for (const fishId of view.fish) {
+            fish[fishId] = this.fishEntities.get(fishId);
+        }
+
+        const lines = {};
+        for (const [casterId, attempt] of this.activeCasts.entries()) {
+            lines[casterId] = attempt.fishId;
+        }
+
+        ws.send(JSON.stringify({
+            type: 'resync',
+            position: this.playerPositions.get(clientId),
+            velocity: this.playerVelocities.get(clientId),
+            chunk: this.playerChunks.get(clientId),
+            players: players,
+            fish: fish,
+            lines: lines
+        }));
+    }
+
+    // Copy live player state into their profile so it can be saved
+    syncProfile(clientId) {
+        const profile = this.playerProfiles.get(clientId);
+        if (!profile) return;
+
+        const position = this.playerPositions.get(clientId);
+        if (position) {
+            profile.lastPosition = { x: position.x, y: position.y, z: position.z };
+        }
+
+        const now = Date.now();
+        profile.stats.playTime += now - this.playerSyncTimes.get(clientId);
+        profile.lastSeen = now;
+        this.playerSyncTimes.set(clientId, now);
+        this.playerStore.markDirty();
+    }
+
+    // Sync every connected player's profile, ready for the store to be flushed
+    syncProfiles() {
+        for (const clientId of this.playerProfiles.keys()) {
+            this.syncProfile(clientId);
+        }
+    }
+
+    // A player's name and suit, as sent in playerAppearance messages
+    describeAppearance(clientId) {
+        const profile = this.playerProfiles.get(clientId);
+        const appearance = (profile && profile.appearance) || DEFAULT_APPEARANCE; // Profiles saved before suits existed
+        return {
+            type: 'playerAppearance',
+            clientId: clientId,
+            name: profile ? profile.name : `Diver ${clientId}`,
+            color: appearance.color,
+            style: appearance.style
+        };
+    }
+
+    // Store the name and suit a diver chose on the join screen and show them to everyone; returns an error or null
+    joinPlayer(clientId, message) {
+        const name = sanitiseText(message.name, Protocol.MAX_NAME_LENGTH);
+        if (!name) return 'Name must not be empty';
+        if (!/^#[0-9a-f]{6}$/i.test(message.color)) return 'Suit colour must be a #rrggbb colour';
+        if (!Protocol.SUIT_STYLES.includes(message.style)) return `Unknown suit style: ${message.style}`;
+
+        const profile = this.playerProfiles.get(clientId);
+        if (!profile) return 'Player has no profile';
+
+        profile.name = name;
+        profile.appearance = { color: message.color.toLowerCase(), style: message.style };
+        this.playerStore.markDirty();
+
+        log.info(`Client ${clientId} joined as ${name}`);
+        this.broadcast(this.describeAppearance(clientId));
+        return null;
+    }
+
+    // Relay a chat message to everyone (global) or to divers near the speaker (proximity); returns an error or null
+    sendChat(clientId, channel, text) {
+        if (!CHAT_CHANNELS.includes(channel)) {
+            return { code: 'invalidChannel', message: `Unknown chat channel: ${channel}` };
+        }
+        if (!this.chatModerator.allow(clientId)) {
+            return { code: 'rateLimited', message: 'You are sending messages too quickly' };
+        }
+
+        const cleanText = this.chatModerator.sanitise(text);
+        if (!cleanText) return null; // Nothing left worth sending
+
+        const profile = this.playerProfiles.get(clientId);
+        const message = {
+            type: 'chat',
+            clientId: clientId,
+            name: profile ? profile.name : `Diver ${clientId}`,
+            channel: channel,
+            text: cleanText,
+            timestamp: Date.now()
+        };
+
+        // Global chat reaches everyone in this room
+        if (channel === 'global') {
+            this.broadcast(message);
+            return null;
+        }
+
+        // Proximity chat only reaches divers within earshot, always including the speaker
+        const speakerPosition = this.playerPositions.get(clientId);
+        for (const [listenerId, position] of this.playerPositions.entries()) {
+            if (listenerId === clientId || (speakerPosition && distanceBetween(speakerPosition, position) <= CHAT_PROXIMITY_RANGE)) {
+                this.sendToClient(listenerId, message);
+            }
+        }
+        return null;
+    }
+
+    // Start a catch attempt; returns a rejection reason, or null if the line was cast
+    castLine(clientId, fishId) {
+        if (this.activeCasts.has(clientId)) return 'alreadyFishing';
+
+        const fish = this.fishEntities.get(fishId);
+        if (!fish) return 'noSuchFish';
+        if (fish.hookedBy !== undefined) return 'fishTaken';
+
+        const position = this.playerPositions.get(clientId);
+        if (!position || distanceBetween(position, fish.position) > CAST_RANGE) return 'outOfRange';
+
+        // The fish stops to inspect the lure and bites after a random delay; harder species give less time to reel in
+        const now = Date.now();
+        const hookTime = now + HOOK_DELAY_MIN + Math.random() * (HOOK_DELAY_MAX - HOOK_DELAY_MIN);
+        const hookWindow = HOOK_WINDOW * (1 - 0.5 * getSpecies(fish.speciesId).catchDifficulty);
+        this.activeCasts.set(clientId, {
+            fishId: fishId,
+            castTime: now,
+            hookTime: hookTime,
+            escapeTime: hookTime + hookWindow,
+            window: hookWindow,
+            hooked: false
+        });
+        fish.hookedBy = clientId;
+        fish.velocity = { x: 0, y: 0, z: 0 };
+
+        const profile = this.playerProfiles.get(clientId);
+        if (profile) {
+            profile.stats.castsMade++;
+            this.playerStore.markDirty();
+        }
+
+        log.debug(`Client ${clientId} cast a line at fish ${fishId}`);
+        this.broadcast({
+            type: 'lineCast',
+            clientId: clientId,
+            fishId: fishId
+        });
+        return null;
+    }
+
+    // Reel in the line: succeeds only while a fish is on the hook
+    reelIn(clientId) {
+        const attempt = this.activeCasts.get(clientId);
+        if (!attempt) return;
+
+        if (attempt.hooked) {
+            this.endCatchAttempt(clientId, true);
+        } else {
+            // Reeling in before the bite scares the fish away
+            this.endCatchAttempt(clientId, false, 'tooEarly');
+        }
+    }
+
+    // Finish a catch attempt, removing the fish if it was caught
+    endCatchAttempt(clientId, caught, reason) {
+        const attempt = this.activeCasts.get(clientId);
+        if (!attempt) return;
+        this.activeCasts.delete(clientId);
+
+        const fish = this.fishEntities.get(attempt.fishId);
+        const profile = this.playerProfiles.get(clientId);
+
+        if (caught && fish) {
+            this.fishEntities.delete(attempt.fishId);
+            log.info(`Client ${clientId} caught fish ${attempt.fishId}`);
+            this.broadcast({
+                type: 'fishCaught',
+                clientId: clientId,
+                fishId: attempt.fishId
+            });
+
+            // Add the fish to the player's inventory
+            if (profile) {
+                profile.inventory.push({
+                    fishId: attempt.fishId,
+                    speciesId: fish.speciesId,
+                    caughtAt: Date.now(),
+                    position: { ...fish.position }
+                });
+                profile.stats.fishCaught++;
+                this.playerStore.markDirty();
+                this.sendToClient(clientId, {
+                    type: 'inventoryUpdate',
+                    inventory: profile.inventory,
+                    stats: profile.stats
+                });
+            }
+            return;
+        }
+
+        if (profile && reason !== 'disconnected' && reason !== 'leftRoom') {
+            profile.stats.fishEscaped++;
+            this.playerStore.markDirty();
+        }
+
+        // Release the fish and let it swim off in a random direction
+        if (fish) {
+            delete fish.hookedBy;
+            fish.velocity = randomFishVelocity(getSpecies(fish.speciesId));
+            fish.wanderAngle = Math.atan2(fish.velocity.x, fish.velocity.z);
+        }
+
+        log.info(`Fish ${attempt.fishId} escaped from client ${clientId} (${reason})`);
+        this.broadcast({
+            type: 'fishEscaped',
+            clientId: clientId,
+            fishId: attempt.fishId,
+            reason: reason
+        });
+    }
+
+    // Advance hook and escape timers for every active catch attempt
+    updateFishingAttempts() {
+        const now = Date.now();
+
+        for (const [clientId, attempt] of this.activeCasts.entries()) {
+            const fish = this.fishEntities.get(attempt.fishId);
+            const position = this.playerPositions.get(clientId);
+
+            if (!fish || !position) {
+                this.endCatchAttempt(clientId, false, 'lost');
+                continue;
+            }
+
+            // The line snaps if the diver swims too far away
+            if (distanceBetween(position, fish.position) > LINE_SNAP_RANGE) {
+                this.endCatchAttempt(clientId, false, 'lineSnapped');
+                continue;
+            }
+
+            if (!attempt.hooked && now >= attempt.hookTime) {
+                attempt.hooked = true;
+                this.broadcast({
+                    type: 'fishHooked',
+                    clientId: clientId,
+                    fishId: attempt.fishId,
+                    window: attempt.window
+                });
+            } else if (attempt.hooked && now >= attempt.escapeTime) {
+                this.endCatchAttempt(clientId, false, 'timeout');
+            }
+        }
+    }
+
+    // Spawn a school of fish for a chunk, picking the species from the local biome's spawn table unless one is given;
+    // returns how many fish were spawned
+    spawnFishForChunk(chunkX, chunkZ, chosenSpecies = null) {
+        // Gather the school around the chunk's first generated spawn point, which every client agrees on
+        const spawnPoint = WorldGen.generateChunk(this.seed, chunkX, chunkZ).spawnPoints[0];
+
+        // Sample the biome somewhere in the water column, so deep biomes like trenches get their own fish too
+        const sampleY = WorldGen.SEAFLOOR_Y + 1 + Math.random() * (-1 - (WorldGen.SEAFLOOR_Y + 1));
+        const biome = Biomes.biomeAt(this.seed, spawnPoint.x, sampleY, spawnPoint.z);
+
+        // One school per chunk; schools are small, so the fish count stays modest
+        const species = chosenSpecies || pickSpecies(biome);
+        const schoolSize = randomInRange(species.schoolSize);
+        log.debug(`Spawning ${schoolSize} ${species.name} for chunk ${chunkX},${chunkZ} (${biome.name})`);
+
+        const [minY, maxY] = species.depthRange;
+        for (let i = 0; i < schoolSize; i++) {
+            const fishId = this.nextFishId++;
+
+            // Create fish entity, swimming at its species' preferred depth
+            const fish = {
+                id: fishId,
+                speciesId: species.id,
+                chunkX: chunkX,
+                chunkZ: chunkZ,
+                position: {
+                    x: spawnPoint.x + (Math.random() * 2 - 1) * SCHOOL_SPREAD,
+                    y: minY + Math.random() * (maxY - minY),
+                    z: spawnPoint.z + (Math.random() * 2 - 1) * SCHOOL_SPREAD
+                },
+                velocity: randomFishVelocity(species)
+            };
+
+            // Add to fish entities map
+            this.fishEntities.set(fishId, fish);
+            this.announceFish(fish);
+        }
+        return schoolSize;
+    }
+
+    // Remove every fish in a chunk except those on someone's line; returns how many were removed
+    clearFish(chunkX, chunkZ) {
+        const removed = [];
+        for (const [fishId, fish] of this.fishEntities.entries()) {
+            if (fish.chunkX !== chunkX || fish.chunkZ !== chunkZ || fish.hookedBy !== undefined) continue;
+
+            this.fishEntities.delete(fishId);
+            removed.push(fishId);
+        }
+
+        if (removed.length > 0) {
+            this.broadcast({
+                type: 'fishDespawn',
+                fishIds: removed
+            });
+        }
+        return removed.length;
+    }
+
+    // Tell clients that can see a fish's chunk about a fish that just appeared
+    announceFish(fish) {
+        for (const [client, clientId] of this.clients.entries()) {
+            const playerChunk = this.playerChunks.get(clientId);
+            if (client.readyState === WebSocket.OPEN && playerChunk &&
+                this.interestManager.isInRange(playerChunk, fish.chunkX, fish.chunkZ)) {
+                client.send(JSON.stringify({
+                    type: 'fishSpawn',
+                    fish: fish
+                }));
+                this.interestManager.markFishVisible(clientId, fish.id);
+            }
+        }
+    }
+
+    // Populate a chunk as it loads: restore its saved fish, or spawn new ones on first visit or once it was fished out
+    loadChunk(chunkX, chunkZ, savedFish) {
+        this.physicsWorld.addChunkTerrain(chunkX, chunkZ);
+
+        if (!savedFish || savedFish.length === 0) {
+            this.spawnFishForChunk(chunkX, chunkZ);
+            return;
+        }
+
+        log.debug(`Restoring ${savedFish.length} fish for chunk ${chunkX},${chunkZ}`);
+        for (const saved of savedFish) {
+            const fish = {
+                id: saved.id,
+                speciesId: saved.speciesId,
+                chunkX: saved.chunkX,
+                chunkZ: saved.chunkZ,
+                position: { ...saved.position },
+                velocity: { ...saved.velocity }
+            };
+            this.fishEntities.set(fish.id, fish);
+            this.announceFish(fish);
+        }
+    }
+
+    // Despawn the fish in a chunk that is unloading; returns them so they can be restored later, or null if there were none
+    unloadChunk(chunkX, chunkZ) {
+        this.physicsWorld.removeChunkTerrain(chunkX, chunkZ);
+
+        const savedFish = [];
+
+        for (const [fishId, fish] of this.fishEntities.entries()) {
+            // Fish on someone's line stay put until the catch attempt ends
+            if (fish.chunkX !== chunkX || fish.chunkZ !== chunkZ || fish.hookedBy !== undefined) continue;
+
+            savedFish.push({
+                id: fish.id,
+                speciesId: fish.speciesId,
+                chunkX: fish.chunkX,
+                chunkZ: fish.chunkZ,
+                position: { ...fish.position },
+                velocity: { ...fish.velocity }
+            });
+            this.fishEntities.delete(fishId);
+        }
+
+        log.debug(`Unloaded chunk ${chunkX},${chunkZ} (${savedFish.length} fish saved)`);
+        if (savedFish.length > 0) {
+            this.broadcast({
+                type: 'fishDespawn',
+                fishIds: savedFish.map((fish) => fish.id)
+            });
+        }
+        return savedFish.length > 0 ? savedFish : null;
+    }
+
+    // Drive each player's physics body towards where its client says it is, or by its keys if the client has gone quiet
+    updatePlayerPositions(dt) {
+        const now = Date.now();
+
+        for (const [clientId, keyState] of this.playerKeys.entries()) {
+            const body = this.physicsWorld.getPlayerBody(clientId);
+            if (!body) continue;
+
+            const target = this.playerTargets.get(clientId);
+            if (target && now - target.receivedAt < MOVEMENT_TARGET_TTL) {
+                // Head for the reported position, but no faster than a diver can swim
+                const velocity = {
+                    x: (target.position.x - body.position.x) / dt,
+                    y: (target.position.y - body.position.y) / dt,
+                    z: (target.position.z - body.position.z) / dt
+                };
+                const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z);
+                const scale = speed > MAX_PLAYER_SPEED ? MAX_PLAYER_SPEED / speed : 1;
+                body.velocity.set(velocity.x * scale, velocity.y * scale, velocity.z * scale);
+                continue;
+            }
+
+            // Apply movement based on keys
+            const speed = keyState.Sprint ? MOVE_SPEED * SPRINT_MULTIPLIER : MOVE_SPEED;
+            let velocityX = 0;
+            let velocityZ = 0;
+
+            if (keyState.ArrowUp) velocityZ = -speed;
+            if (keyState.ArrowDown) velocityZ = speed;
+            if (keyState.ArrowLeft) velocityX = -speed;
+            if (keyState.ArrowRight) velocityX = speed;
+
+            // Apply damping (simulate water resistance)
+            const damping = 0.9;
+            body.velocity.set(velocityX * damping, Movement.verticalVelocity(keyState, body.position.y), velocityZ * damping);
+        }
+    }
+
+    // Copy the resolved physics state back into the player maps, and follow players across chunk borders
+    syncPlayerBodies() {
+        for (const [clientId, body] of this.physicsWorld.playerBodies.entries()) {
+            const previousPosition = this.playerPositions.get(clientId);
+            const position = { x: body.position.x, y: body.position.y, z: body.position.z };
+
+            // Track how far the diver has swum
+            const profile = this.playerProfiles.get(clientId);
+            if (profile && previousPosition) {
+                profile.stats.distanceSwum += distanceBetween(previousPosition, position);
+            }
+
+            this.playerPositions.set(clientId, position);
+            this.playerVelocities.set(clientId, { x: body.velocity.x, y: body.velocity.y, z: body.velocity.z });
+
+            // Check if player moved to a new chunk
+            const chunkX = Math.floor(position.x / CHUNK_SIZE);
+            const chunkZ = Math.floor(position.z / CHUNK_SIZE);
+            const currentChunk = this.playerChunks.get(clientId);
+            if (currentChunk && (chunkX !== currentChunk.x || chunkZ !== currentChunk.z)) {
+                this.playerChunks.set(clientId, { x: chunkX, z: chunkZ });
+
+                // Load any new chunks around the player (spawning fish where needed)
+                this.chunkManager.loadAround(chunkX, chunkZ);
+
+                // Notify client about chunk change
+                this.sendToClient(clientId, {
+                    type: 'chunkUpdate',
+                    chunkX: chunkX,
+                    chunkZ: chunkZ
+                });
+            }
+        }
+    }
+
+    // Tell clients whose reported position physics disagrees with where they really are
+    sendPositionCorrections() {
+        const now = Date.now();
+
+        for (const [clientId, target] of this.playerTargets.entries()) {
+            // Clients that stopped reporting are moved by their keys instead, so there's nothing to correct
+            if (now - target.receivedAt >= MOVEMENT_TARGET_TTL) continue;
+
+            const position = this.playerPositions.get(clientId);
+            if (!position || distanceBetween(position, target.position) <= CORRECTION_THRESHOLD) continue;
+
+            this.sendToClient(clientId, {
+                type: 'positionCorrection',
+                position: position,
+                velocity: this.playerVelocities.get(clientId)
+            });
+
+            // Assume the client snaps back, so we don't keep steering towards the rejected position
+            target.position = { ...position };
+        }
+    }
+
+    // Move a diver somewhere else in the world, e.g. an admin rescuing someone stuck in the terrain
+    teleportPlayer(clientId, position) {
+        if (!this.hasPlayer(clientId)) return false;
+
+        this.physicsWorld.teleportPlayer(clientId, position);
+        this.playerPositions.set(clientId, { x: position.x, y: position.y, z: position.z });
+        this.playerVelocities.set(clientId, { x: 0, y: 0, z: 0 });
+        this.playerTargets.delete(clientId); // Don't steer back towards where the client thought it was
+
+        // The next physics step moves the player's chunk and loads the area around it
+        this.sendToClient(clientId, {
+            type: 'positionCorrection',
+            position: this.playerPositions.get(clientId),
+            velocity: { x: 0, y: 0, z: 0 }
+        });
+        return true;
+    }
+
+    // Disconnect a player for good; the usual close handling cleans up after them
+    kickPlayer(clientId, reason) {
+        for (const [client, id] of this.clients.entries()) {
+            if (id !== clientId) continue;
+
+            log.info(`Kicking client ${clientId} from room ${this.name}: ${reason}`);
+            this.sessionStore.revoke(this.sessionTokens.get(clientId)); // Otherwise the client could resume straight back in
+            sendError(client, 'kicked', reason);
+            client.close(Protocol.CLOSE_CODES.kicked, 'Kicked');
+            return true;
+        }
+        return false;
+    }
+
+    // Connected players with where they are, for the admin API
+    describePlayers() {
+        const players = [];
+        for (const clientId of this.clients.values()) {
+            const profile = this.playerProfiles.get(clientId);
+            players.push({
+                clientId: clientId,
+                name: profile ? profile.name : `Diver ${clientId}`,
+                profileId: profile ? profile.id : null,
+                room: this.name,
+                position: this.playerPositions.get(clientId),
+                chunk: this.playerChunks.get(clientId),
+                oxygen: this.oxygenSupply.getOxygen(clientId),
+                fishing: this.activeCasts.has(clientId)
+            });
+        }
+        return players;
+    }
+
+    // Everything needed to rebuild this world after a restart: its seed and every fish, loaded or saved
+    checkpoint() {
+        const chunks = new Map(); // Map of "x,z" chunk key to {x, z, fish}
+        for (const [chunkKey, savedFish] of this.chunkManager.savedChunks.entries()) {
+            const [x, z] = chunkKey.split(',').map(Number);
+            chunks.set(chunkKey, { x, z, fish: savedFish });
+        }
+
+        for (const fish of this.fishEntities.values()) {
+            const chunkKey = `${fish.chunkX},${fish.chunkZ}`;
+            if (!chunks.has(chunkKey)) {
+                chunks.set(chunkKey, { x: fish.chunkX, z: fish.chunkZ, fish: [] });
+            }
+            chunks.get(chunkKey).fish.push({
+                id: fish.id,
+                speciesId: fish.speciesId,
+                chunkX: fish.chunkX,
+                chunkZ: fish.chunkZ,
+                position: { ...fish.position },
+                velocity: { ...fish.velocity }
+            });
+        }
+
+        return {
+            name: this.name,
+            seed: this.seed,
+            key: this.key,
+            nextFishId: this.nextFishId,
+            chunks: Array.from(chunks.values())
+        };
+    }
+
+    // Queue a checkpoint's fish to be restored as their chunks load again
+    restoreCheckpoint(checkpoint) {
+        this.nextFishId = checkpoint.nextFishId;
+        for (const chunk of checkpoint.chunks) {
+            this.chunkManager.saveState(chunk.x, chunk.z, chunk.fish.length > 0 ? chunk.fish : null);
+        }
+        log.info(`Restored ${checkpoint.chunks.length} chunks of fish for room ${this.name}`);
+    }
+
+    // Headline numbers about the world, for the admin API
+    describeStats() {
+        return {
+            name: this.name,
+            private: this.isPrivate,
+            worldSeed: this.seed,
+            players: this.playerCount,
+            loadedChunks: this.chunkManager.loadedChunks.size,
+            savedChunks: this.chunkManager.savedChunks.size,
+            fish: this.fishEntities.size,
+            activeCasts: this.activeCasts.size,
+            createdAt: this.createdAt
+        };
+    }
+
+    // A diver ran out of air: they drop part of their catch and come round at the surface above where they passed out
+    blackOut(clientId) {
+        const position = this.playerPositions.get(clientId);
+        if (!position) return;
+
+        if (this.activeCasts.has(clientId)) {
+            this.endCatchAttempt(clientId, false, 'blackout');
+        }
+
+        // The most recent catches are the ones that slip out of the net
+        const profile = this.playerProfiles.get(clientId);
+        let lostFish = [];
+        if (profile && profile.inventory.length > 0) {
+            const lossCount = Math.ceil(profile.inventory.length * BLACKOUT_CATCH_LOSS);
+            lostFish = profile.inventory.splice(profile.inventory.length - lossCount, lossCount);
+            this.playerStore.markDirty();
+        }
+
+        const respawnPosition = { x: position.x, y: RESPAWN_Y, z: position.z };
+        this.physicsWorld.teleportPlayer(clientId, respawnPosition);
+        this.playerPositions.set(clientId, respawnPosition);
+        this.playerVelocities.set(clientId, { x: 0, y: 0, z: 0 });
+        this.playerTargets.delete(clientId); // Don't steer back towards where the client thought it was
+        this.oxygenSupply.refill(clientId);
+
+        log.info(`Client ${clientId} blacked out and dropped ${lostFish.length} fish`);
+        this.sendToClient(clientId, {
+            type: 'blackout',
+            position: respawnPosition,
+            lostFish: lostFish.length
+        });
+        if (profile && lostFish.length > 0) {
+            this.sendToClient(clientId, {
+                type: 'inventoryUpdate',
+                inventory: profile.inventory,
+                stats: profile.stats
+            });
+        }
+    }
+
+    // Advance the simulation by one fixed step of dt seconds
+    simulationTick(dt) {
+        const tickStart = performance.now();
+
+        // Apply anything queued from outside the loop first, so this tick's broadcast includes it
+        this.runPendingActions();
+
+        // Move players through the physics world, colliding with terrain and each other
+        let phaseStart = performance.now();
+        this.updatePlayerPositions(dt);
+        this.physicsWorld.step(dt);
+        this.syncPlayerBodies();
+        phaseStart = this.recordPhase('updatePlayerPositions', phaseStart);
+
+        // Use up divers' air, and black out anyone who ran out
+        for (const clientId of this.oxygenSupply.update(this.playerPositions, this.playerKeys, dt)) {
+            this.blackOut(clientId);
+        }
+        phaseStart = this.recordPhase('oxygen', phaseStart);
+
+        // Let fish react to divers and each other, then move them with the schooling behaviour
+        this.fishBehaviour.update(this.fishEntities, this.playerPositions, this.playerVelocities, dt);
+        this.fishSchooling.update(this.fishEntities, dt);
+        phaseStart = this.recordPhase('updateFishPositions', phaseStart);
+
+        // Advance any catch attempts in progress
+        this.updateFishingAttempts();
+        phaseStart = this.recordPhase('fishing', phaseStart);
+
+        // Keep chunks near players loaded and unload idle ones
+        this.chunkManager.update(this.playerChunks);
+        this.recordPhase('chunks', phaseStart);
+
+        tickDuration.observe({ room: this.name }, (performance.now() - tickStart) / 1000);
+    }
+
+    // Record how long a phase took since it started; returns now, the start of the next phase
+    recordPhase(phase, start) {
+        const now = performance.now();
+        phaseDuration.observe({ room: this.name, phase: phase }, (now - start) / 1000);
+        return now;
+    }
+
+    // Send the current state of the world to every client in the room
+    broadcastGameState() {
+        const gameState = this.gameState;
+
+        // Update game state
+        gameState.timestamp = Date.now();
+
+        // Update player positions in game state
+        gameState.players = {};
+        gameState.snapshot.players = {};
+        for (const [clientId, position] of this.playerPositions.entries()) {
+            gameState.players[clientId] = position;
+            gameState.snapshot.players[clientId] = quantizePlayer(position, this.oxygenSupply.getFraction(clientId));
+        }
+
+        // Update fish positions in game state
+        gameState.fish = {};
+        gameState.snapshot.fish = {};
+        for (const [fishId, fish] of this.fishEntities.entries()) {
+            gameState.fish[fishId] = {
+                id: fish.id,
+                speciesId: fish.speciesId,
+                behaviour: fish.behaviour || 'idle',
+                position: fish.position,
+                velocity: fish.velocity,
+                chunkX: fish.chunkX,
+                chunkZ: fish.chunkZ
+            };
+            gameState.snapshot.fish[fishId] = quantizeFish(fish);
+        }
+
+        if (log.isEnabled('debug')) {
+            log.debug(`Game loop tick at ${new Date().toISOString()} (room ${this.name})`);
+        }
+
+        // Pull back any clients that drifted from their authoritative position
+        this.sendPositionCorrections();
+
+        // Send each client only the entities in its area of interest, timing how long encoding their snapshots takes
+        this.serializationTime = 0;
+        for (const [client, clientId] of this.clients.entries()) {
+            if (client.readyState === WebSocket.OPEN) {
+                this.sendInterestUpdate(client, clientId);
+            }
+        }
+        phaseDuration.observe({ room: this.name, phase: 'serialization' }, this.serializationTime / 1000);
+    }
+
+    // Send a client its filtered game state, plus events for entities entering or leaving its view
+    sendInterestUpdate(ws, clientId) {
+        const playerChunk = this.playerChunks.get(clientId);
+        if (!playerChunk) return;
+
+        const gameState = this.gameState;
+        const view = this.interestManager.update(clientId, playerChunk, this.playerChunks, this.fishEntities);
+
+        if (view.entered.players.length > 0 || view.entered.fish.length > 0) {
+            const enteredPlayers = {};
+            for (const playerId of view.entered.players) {
+                enteredPlayers[playerId] = gameState.players[playerId];
+            }
+            const enteredFish = {};
+            for (const fishId of view.entered.fish) {
+                enteredFish[fishId] = gameState.fish[fishId];
+            }
+            ws.send(JSON.stringify({
+                type: 'entitiesEntered',
+                players: enteredPlayers,
+                fish: enteredFish
+            }));
+        }
+
+        if (view.left.players.length > 0 || view.left.fish.length > 0) {
+            ws.send(JSON.stringify({
+                type: 'entitiesLeft',
+                players: view.left.players,
+                fish: view.left.fish
+            }));
+        }
+
+        // Build this client's snapshot and send it as a delta against its acknowledged baseline
+        const snapshot = { players: {}, fish: {} };
+        for (const playerId of view.players) {
+            snapshot.players[playerId] = gameState.snapshot.players[playerId];
+        }
+        for (const fishId of view.fish) {
+            snapshot.fish[fishId] = gameState.snapshot.fish[fishId];
+        }
+
+        const serializeStart = performance.now();
+        const encoding = this.clientEncodings.get(clientId);
+        const message = {
+            type: 'gameState',
+            data: this.snapshotTracker.build(clientId, gameState.timestamp, snapshot)
+        };
+        const payload = encoding === 'binary' ? BinaryProtocol.encode(message) : JSON.stringify(message);
+        this.serializationTime += performance.now() - serializeStart;
+
+        ws.send(payload);
+        const labels = { room: this.name, encoding: encoding };
+        broadcastBytes.inc(labels, typeof payload === 'string' ? Buffer.byteLength(payload) : payload.byteLength);
+        broadcastMessages.inc(labels);
+    }
+}
+
+// Send a structured error reply to a client
+function sendError(ws, code, message, requestType) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    const error = { type: 'error', code: code, message: message };
+    if (typeof requestType === 'string') {
+        error.requestType = requestType;
+    }
+    ws.send(JSON.stringify(error));
+}
+
+// Random swimming velocity for a species, mostly horizontal
+function randomFishVelocity(species) {
+    return {
+        x: (Math.random() * 2 - 1) * species.swimSpeed,
+        y: (Math.random() * 2 - 1) * species.swimSpeed * 0.25, // Smaller vertical movement
+        z: (Math.random() * 2 - 1) * species.swimSpeed
+    };
+}
+
+module.exports = { Room, sendError };
@@ -0,0 +1,106 @@
+// Underwater Odyssey - Room Manager
+// Creates rooms the first time someone asks for them and shuts them down once they have been empty for a while
+const { createLogger } = require('./logger');
+
+const log = createLogger('rooms');
+const ROOM_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+class RoomManager {
+    constructor({ createRoom, emptyTimeout, maxRooms, defaultRoom, onClose = () => {} }) {
+        this.createRoom = createRoom; // Called with (name, key) to build a new, not yet started room
+        this.onClose = onClose; // Called with a room after it has stopped, e.g. to keep a checkpoint of it
+        this.emptyTimeout = emptyTimeout; // How long (ms) an empty room lingers before it is shut down
+        this.maxRooms = maxRooms; // Most rooms open at once, since each runs its own game loop
+        this.defaultRoom = defaultRoom; // Always allowed to open, so players are never locked out of the default room
+        this.rooms = new Map(); // Map of room name to Room
+        this.shutdownTimers = new Map(); // Map of room name to the timer that will shut it down
+    }
+
+    // Find or create a room; returns {room} or {error} if the name is invalid, the key is wrong or the server is full
+    open(name, key = null) {
+        if (!ROOM_NAME_PATTERN.test(name)) {
+            return { error: 'Room names may only use letters, numbers, - and _ (up to 32 characters)' };
+        }
+
+        let room = this.rooms.get(name);
+        if (!room) {
+            if (name !== this.defaultRoom && this.rooms.size >= this.maxRooms) {
+                log.warn(`Refused to open room ${name}: ${this.rooms.size} rooms already open`);
+                return { error: 'The server has too many rooms open; try an existing room' };
+            }
+
+            room = this.createRoom(name, key);
+            this.rooms.set(name, room);
+            room.start();
+            log.info(`Opened ${room.isPrivate ? 'private' : 'public'} room ${name} (world seed ${room.seed})`);
+        }
+
+        // A room restored from a checkpoint keeps its old key, so check even rooms we just opened
+        if (room.isPrivate && room.key !== key) {
+            this.release(room);
+            return { error: `Room ${name} is private` };
+        }
+
+        // Someone is on their way in, so the room is no longer due to close
+        this.cancelShutdown(name);
+        return { room };
+    }
+
+    // Call after a player leaves a room; an empty room is shut down unless someone joins in time
+    release(room) {
+        if (room.playerCount > 0 || this.shutdownTimers.has(room.name)) return;
+
+        const timer = setTimeout(() => {
+            this.shutdownTimers.delete(room.name);
+            if (room.playerCount === 0) {
+                this.close(room);
+            }
+        }, this.emptyTimeout);
+        this.shutdownTimers.set(room.name, timer);
+    }
+
+    cancelShutdown(name) {
+        const timer = this.shutdownTimers.get(name);
+        if (timer) {
+            clearTimeout(timer);
+            this.shutdownTimers.delete(name);
+        }
+    }
+
+    // Stop a room's game loop and forget it
+    close(room) {
+        this.cancelShutdown(room.name);
+        room.stop();
+        room.syncProfiles();
+        this.rooms.delete(room.name);
+        this.onClose(room);
+        log.info(`Closed room ${room.name}`);
+    }
+
+    // The room a connected player is in, or null
+    findPlayer(clientId) {
+        for (const room of this.rooms.values()) {
+            if (room.hasPlayer(clientId)) return room;
+        }
+        return null;
+    }
+
+    // Public rooms, for the room list
+    listPublic() {
+        const list = [];
+        for (const room of this.rooms.values()) {
+            if (room.isPrivate) continue;
+            list.push({ name: room.name, players: room.playerCount, worldSeed: room.seed });
+        }
+        return list;
+    }
+
+    // Stop every room, e.g. when the server shuts down
+    shutdownAll() {
+        for (const room of [...this.rooms.values()]) {
+            this.close(room);
+        }
+    }
+}
+
+module.exports = { RoomManager, ROOM_NAME_PATTERN };
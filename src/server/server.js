@@ -3,6 +3,20 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const { PlayerStore } = require('./playerStore');
+const { SessionStore } = require('./sessions');
+const { Room, sendError } = require('./room');
+const { RoomManager } = require('./roomManager');
+const { createAdminRouter } = require('./adminApi');
+const { MessageRateLimiter } = require('./rateLimiter');
+const { WorldStore } = require('./worldStore');
+const { createLogger } = require('./logger');
+const { registry } = require('./metrics');
+const BinaryProtocol = require('../shared/binaryProtocol');
+const Protocol = require('../shared/protocol');
+const WorldGen = require('../shared/worldGen');
+
+const log = createLogger('server');
 
 // Initialize Express app
 const app = express();
@@ -11,346 +25,404 @@ const PORT = process.env.PORT || 3000;
 // Serve static files from the client directory
 app.use(express.static(path.join(__dirname, '../client')));
 
+// Serve code shared between client and server
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // Create HTTP server
 const server = http.createServer(app);
 
-// Initialize WebSocket server
-const wss = new WebSocket.Server({ server });
+// Initialize WebSocket server; ws closes the connection outright on frames over maxPayload
+const MAX_FRAME_BYTES = 65536;
+const wss = new WebSocket.Server({ server, maxPayload: MAX_FRAME_BYTES });
 
-// Track connected clients with their IDs
-const clients = new Map();
+// Client IDs are unique across every room, so a player keeps theirs when switching rooms
 let nextClientId = 0;
 
+// World checkpoints: each room's seed and fish, saved on shutdown and restored when the room next opens
+const WORLD_DB_PATH = process.env.WORLD_DB_PATH || path.join(__dirname, '../../data/world.json');
+const worldStore = new WorldStore(WORLD_DB_PATH);
+worldStore.load();
+
 // Game world constants
-const CHUNK_SIZE = 16;
-const MOVE_SPEED = 10; // Should match client move speed
-const FISH_PER_CHUNK = 5; // Number of fish to spawn per chunk
-let nextFishId = 0;
+const DEFAULT_ROOM = 'main'; // Players who don't pick a room end up here; it always uses WORLD_SEED and is always public
+const WORLD_SEED = process.env.WORLD_SEED !== undefined
+    ? Number(process.env.WORLD_SEED) >>> 0
+    : worldStore.savedSeed(DEFAULT_ROOM) ?? WorldGen.randomSeed(); // Keep the checkpointed world unless told otherwise
+const WIRE_FORMAT = process.env.WIRE_FORMAT || 'binary'; // Set to 'json' to disable binary encoding for debugging
+
+// Room constants
+const ROOM_EMPTY_TIMEOUT = Number(process.env.ROOM_EMPTY_TIMEOUT) || 60000; // Shut a room down once it has been empty this long (ms)
+const MAX_ROOMS = Number(process.env.MAX_ROOMS) || 16; // Most rooms open at once, the default room included; each runs its own game loop
+
+// Player profile persistence
+const PLAYER_DB_PATH = process.env.PLAYER_DB_PATH || path.join(__dirname, '../../data/players.json');
+const PROFILE_FLUSH_INTERVAL = 30000; // Write changed profiles to disk every 30 seconds
+const playerStore = new PlayerStore(PLAYER_DB_PATH);
+playerStore.load();
+
+// Session resume: disconnected players keep their state for a while
+const SESSION_GRACE_PERIOD = 60000; // How long (ms) a reconnecting client can reclaim its player
+const sessionStore = new SessionStore(SESSION_GRACE_PERIOD);
+
+// World instances: each room has its own seed, players, fish and game loop
+const roomManager = new RoomManager({
+    emptyTimeout: ROOM_EMPTY_TIMEOUT,
+    maxRooms: MAX_ROOMS,
+    defaultRoom: DEFAULT_ROOM,
+    createRoom: (name, key) => {
+        // A room reopened after a restart keeps its seed and key, and gets its fish back
+        const checkpoint = worldStore.take(name);
+        let seed = checkpoint ? checkpoint.seed : WorldGen.randomSeed();
+        if (name === DEFAULT_ROOM) {
+            seed = WORLD_SEED;
+            key = null;
+        } else if (checkpoint) {
+            key = checkpoint.key;
+        }
+        return new Room({ name, seed, key, playerStore, sessionStore, checkpoint });
+    },
+    onClose: (room) => worldStore.keep(room.checkpoint())
+});
+
+// Serve the game for /rooms/<name> links; the client reads the room name from the path
+app.get('/rooms/:room', (req, res) => {
+    res.sendFile(path.join(__dirname, '../client/index.html'));
+});
+
+// List the public rooms and how many divers are in each
+app.get('/api/rooms', (req, res) => {
+    res.json({ rooms: roomManager.listPublic() });
+});
+
+// Server health for Prometheus: clients, fish and chunks per room, plus loop timings recorded by the rooms
+const messagesReceived = registry.counter('messages_received_total', 'Messages received from clients, by type');
+const messagesDropped = registry.counter('messages_dropped_total', 'Messages dropped for breaking rate or size limits, or failing validation');
+const floodWarnings = registry.counter('flood_warnings_total', 'Clients warned for sending too many bad or excess messages');
+const floodDisconnects = registry.counter('flood_disconnects_total', 'Clients disconnected for sending too many bad or excess messages');
+registry.gauge('rooms', 'Open rooms', () => [{ labels: {}, value: roomManager.rooms.size }]);
+registry.gauge('connected_clients', 'Connected clients', () => describeRooms((room) => room.playerCount));
+registry.gauge('fish', 'Fish in the world', () => describeRooms((room) => room.fishEntities.size));
+registry.gauge('loaded_chunks', 'Chunks loaded on the server', () => describeRooms((room) => room.chunkManager.loadedChunks.size));
+registry.gauge('tick_overruns', 'Ticks that took longer than their budget since the room opened',
+    () => describeRooms((room) => room.gameLoop.stats.overruns));
+
+// One gauge sample per open room
+function describeRooms(measure) {
+    return [...roomManager.rooms.values()].map((room) => ({ labels: { room: room.name }, value: measure(room) }));
+}
 
-// Track player positions, velocities, and their current chunks
-const playerPositions = new Map(); // Map of client ID to {x, y, z} position
-const playerVelocities = new Map(); // Map of client ID to {x, y, z} velocity
-const playerChunks = new Map(); // Map of client ID to {x, z} chunk coordinates
-const playerKeys = new Map(); // Map of client ID to key states {ArrowUp, ArrowDown, ArrowLeft, ArrowRight}
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(registry.render());
+});
 
-// Track fish entities
-const fishEntities = new Map(); // Map of fish ID to fish data {id, chunkX, chunkZ, position, velocity}
-const loadedChunks = new Set(); // Set of loaded chunk keys in the format "x,z"
+// Admin routes for operating the live server; disabled unless ADMIN_TOKEN is set
+app.use('/api/admin', createAdminRouter({ roomManager, token: process.env.ADMIN_TOKEN }));
 
 // Handle WebSocket connections
-wss.on('connection', (ws) => {
-    // Assign a unique ID to the client
-    const clientId = nextClientId++;
-    clients.set(ws, clientId);
-    
-    // Set player's initial position and chunk
-    playerPositions.set(clientId, { x: 0, y: 0, z: 0 });
-    playerVelocities.set(clientId, { x: 0, y: 0, z: 0 });
-    playerChunks.set(clientId, { x: 0, z: 0 });
-    playerKeys.set(clientId, {
-        ArrowUp: false,
-        ArrowDown: false,
-        ArrowLeft: false,
-        ArrowRight: false
+wss.on('connection', (ws, req) => {
+    const requestUrl = new URL(req.url, 'http://localhost');
+
+    // Turn away anyone who slips in while we're shutting down
+    if (shuttingDown) {
+        sendError(ws, 'serverShutdown', 'Server is shutting down');
+        ws.close(Protocol.CLOSE_CODES.serverShutdown, 'Server shutting down');
+        return;
+    }
+
+    // Refuse clients that speak a different protocol version
+    const clientVersion = Number(requestUrl.searchParams.get('protocolVersion'));
+    if (clientVersion !== Protocol.PROTOCOL_VERSION) {
+        log.info(`Rejected client with protocol version ${clientVersion}`);
+        sendError(ws, 'versionMismatch', `Server requires protocol version ${Protocol.PROTOCOL_VERSION}`);
+        ws.close(Protocol.CLOSE_CODES.versionMismatch, 'Protocol version mismatch');
+        return;
+    }
+
+    // Try to resume a recently disconnected session before creating a new player
+    let sessionToken = requestUrl.searchParams.get('session');
+    const resumedState = sessionToken ? sessionStore.resume(sessionToken) : null;
+
+    // Pick the room from the /rooms/<name> path, falling back to the room the session was in
+    const roomMatch = requestUrl.pathname.match(/^\/rooms\/([^/]+)\/?$/);
+    let roomName = roomMatch ? decodeURIComponent(roomMatch[1]) : DEFAULT_ROOM;
+    let roomKey = requestUrl.searchParams.get('key');
+    if (resumedState && !roomMatch) {
+        roomName = resumedState.roomName;
+        roomKey = resumedState.roomKey;
+    }
+
+    const opened = roomManager.open(roomName, roomKey);
+    if (opened.error) {
+        log.info(`Refused client a place in room ${roomName}: ${opened.error}`);
+        if (resumedState) {
+            sessionStore.suspend(sessionToken, resumedState, expireSession);
+        }
+        sendError(ws, 'roomUnavailable', opened.error);
+        ws.close(Protocol.CLOSE_CODES.roomUnavailable, 'Room unavailable');
+        return;
+    }
+    let room = opened.room;
+
+    let clientId, profile, startPosition, startVelocity, startOxygen;
+    if (resumedState) {
+        clientId = resumedState.clientId;
+        profile = resumedState.profile;
+        startPosition = resumedState.position;
+        startVelocity = resumedState.velocity;
+        startOxygen = resumedState.oxygen;
+        log.info(`Client ${clientId} resumed session as ${profile.name}`);
+    } else {
+        // Assign a unique ID to the client
+        clientId = nextClientId++;
+        sessionToken = sessionStore.createToken();
+
+        // Load the player's profile, or create one if they don't have one yet
+        profile = playerStore.getOrCreate(requestUrl.searchParams.get('profile'));
+        startPosition = { ...profile.lastPosition };
+        startVelocity = { x: 0, y: 0, z: 0 };
+        log.info(`Client ${clientId} connected as ${profile.name} (${profile.id})`);
+    }
+
+    // A session resumed in a different room starts over at that room's origin
+    if (resumedState && resumedState.roomName !== room.name) {
+        startPosition = { x: 0, y: 0, z: 0 };
+        startVelocity = { x: 0, y: 0, z: 0 };
+    }
+
+    // Use the binary encoding for high-frequency messages if the client asked for it
+    const encoding = requestUrl.searchParams.get('encoding') === 'binary' && WIRE_FORMAT === 'binary' ? 'binary' : 'json';
+
+    // Send welcome message with client ID, session token and the loaded profile
+    ws.send(JSON.stringify({
+        type: 'welcome',
+        id: clientId,
+        protocolVersion: Protocol.PROTOCOL_VERSION,
+        worldSeed: room.seed,
+        room: room.name,
+        sessionToken: sessionToken,
+        resumed: Boolean(resumedState),
+        encoding: encoding,
+        profile: profile
+    }));
+
+    // Put the player in the world and send them the full world state so the client can rebuild from scratch
+    room.addPlayer(ws, {
+        clientId: clientId,
+        sessionToken: sessionToken,
+        profile: profile,
+        encoding: encoding,
+        position: startPosition,
+        velocity: startVelocity,
+        oxygen: startOxygen
     });
-    
-    console.log(`Client ${clientId} connected`);
-    
-    // Spawn initial fish in the area around the starting position (5x5 grid)
-    const startingChunkX = 0;
-    const startingChunkZ = 0;
-    
-    // Check if we need to load new chunks (and spawn fish) for starting area
-    for (let dx = -2; dx <= 2; dx++) {
-        for (let dz = -2; dz <= 2; dz++) {
-            const newChunkX = startingChunkX + dx;
-            const newChunkZ = startingChunkZ + dz;
-            const chunkKey = `${newChunkX},${newChunkZ}`;
-            
-            // If this chunk is not already loaded, spawn fish for it
-            if (!loadedChunks.has(chunkKey)) {
-                loadedChunks.add(chunkKey);
-                spawnFishForChunk(newChunkX, newChunkZ);
-            }
+    log.info(`Client ${clientId} entered room ${room.name}`);
+
+    // Move the player to another room, keeping their profile and air but starting at the new world's origin
+    function switchRoom(name, key) {
+        if (name === room.name) {
+            sendError(ws, 'roomUnavailable', `Already in room ${name}`, 'joinRoom');
+            return;
+        }
+
+        const target = roomManager.open(name, key || null);
+        if (target.error) {
+            sendError(ws, 'roomUnavailable', target.error, 'joinRoom');
+            return;
         }
+
+        const previousRoom = room;
+        const state = previousRoom.removePlayer(ws, 'leftRoom');
+        roomManager.release(previousRoom);
+
+        room = target.room;
+        roomKey = room.key;
+        ws.send(JSON.stringify({
+            type: 'roomJoined',
+            room: room.name,
+            worldSeed: room.seed
+        }));
+        room.addPlayer(ws, {
+            clientId: clientId,
+            sessionToken: sessionToken,
+            profile: profile,
+            encoding: encoding,
+            position: { x: 0, y: 0, z: 0 },
+            velocity: { x: 0, y: 0, z: 0 },
+            oxygen: state ? state.oxygen : undefined
+        });
+        log.info(`Client ${clientId} moved from room ${previousRoom.name} to ${room.name}`);
     }
-    
+
+    // Respond to a message that broke the limits: drop it, warn the client once, or disconnect them if they keep going
+    const rateLimiter = new MessageRateLimiter();
+    function enforceLimit(response, type, reason) {
+        messagesDropped.inc({ type: type, reason: reason });
+        if (response === 'warn') {
+            floodWarnings.inc();
+            log.warn(`Warning client ${clientId} for flooding (${reason} ${type})`);
+            sendError(ws, 'rateLimited', 'You are sending too many messages; slow down or you will be disconnected', type);
+        } else if (response === 'disconnect') {
+            floodDisconnects.inc();
+            log.warn(`Disconnecting client ${clientId} for flooding (${reason} ${type})`);
+            sendError(ws, 'rateLimited', 'Disconnected for sending too many messages', type);
+            ws.close(Protocol.CLOSE_CODES.rateLimited, 'Too many messages');
+        }
+    }
+
     // Handle messages from the client
-    ws.on('message', (message) => {
+    ws.on('message', (message, isBinary) => {
+        // Anything still arriving after we decided to disconnect the client is ignored
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        // Don't even parse frames bigger than any real message
+        const sizeResponse = rateLimiter.checkSize(message.length);
+        if (sizeResponse) {
+            messagesReceived.inc({ type: 'oversized' });
+            enforceLimit(sizeResponse, 'unknown', 'oversized');
+            return;
+        }
+
+        let parsedMessage;
         try {
-            const parsedMessage = JSON.parse(message);
-            console.log(`Received from client ${clientId}:`, parsedMessage);
-            
-            // Handle key press messages
-            if (parsedMessage.type === 'keyPress') {
-                const keyState = playerKeys.get(clientId);
-                if (keyState && parsedMessage.key in keyState) {
-                    keyState[parsedMessage.key] = parsedMessage.pressed;
-                    // No need to send a response, this will be reflected in the next game state update
-                }
-            }
-            
-            // Handle player movement messages
-            else if (parsedMessage.type === 'movement') {
-                // Update player position and velocity
-                playerPositions.set(clientId, parsedMessage.position);
-                if (parsedMessage.velocity) {
-                    playerVelocities.set(clientId, parsedMessage.velocity);
-                }
-                
-                // Calculate chunk coordinates
-                const position = parsedMessage.position;
-                const chunkX = Math.floor(position.x / CHUNK_SIZE);
-                const chunkZ = Math.floor(position.z / CHUNK_SIZE);
-                
-                // Check if player moved to a new chunk
-                const currentChunk = playerChunks.get(clientId);
-                if (chunkX !== currentChunk.x || chunkZ !== currentChunk.z) {
-                    // Update player's chunk
-                    playerChunks.set(clientId, { x: chunkX, z: chunkZ });
-                    
-                    // Check if we need to load new chunks (and spawn fish)
-                    for (let dx = -2; dx <= 2; dx++) {
-                        for (let dz = -2; dz <= 2; dz++) {
-                            const newChunkX = chunkX + dx;
-                            const newChunkZ = chunkZ + dz;
-                            const chunkKey = `${newChunkX},${newChunkZ}`;
-                            
-                            // If this chunk is not already loaded, spawn fish for it
-                            if (!loadedChunks.has(chunkKey)) {
-                                loadedChunks.add(chunkKey);
-                                spawnFishForChunk(newChunkX, newChunkZ);
-                            }
-                        }
-                    }
-                    
-                    // Notify client about chunk change
-                    ws.send(JSON.stringify({
-                        type: 'chunkUpdate',
-                        chunkX: chunkX,
-                        chunkZ: chunkZ
-                    }));
-                }
+            parsedMessage = isBinary ? BinaryProtocol.decode(message) : JSON.parse(message);
+        } catch (error) {
+            messagesReceived.inc({ type: 'unparseable' });
+            sendError(ws, 'parseError', 'Message could not be decoded');
+            enforceLimit(rateLimiter.recordViolation(), 'unparseable', 'invalid');
+            return;
+        }
+
+        // Reject anything that doesn't match the shared message schema
+        const validationError = Protocol.validateClientMessage(parsedMessage);
+        messagesReceived.inc({ type: validationError ? 'invalid' : parsedMessage.type });
+        if (validationError) {
+            log.info(`Rejected message from client ${clientId}: ${validationError.message}`);
+            sendError(ws, validationError.code, validationError.message, parsedMessage && parsedMessage.type);
+            enforceLimit(rateLimiter.recordViolation(), 'invalid', 'invalid');
+            return;
+        }
+
+        // Drop messages beyond what this type allows per second
+        const rateResponse = rateLimiter.check(parsedMessage.type);
+        if (rateResponse) {
+            enforceLimit(rateResponse, parsedMessage.type, 'rateLimited');
+            return;
+        }
+
+        try {
+            log.debug(`Received from client ${clientId}:`, parsedMessage);
+
+            // Handle moving to another room; everything else is up to the room the player is in
+            if (parsedMessage.type === 'joinRoom') {
+                switchRoom(parsedMessage.room, parsedMessage.key);
+            } else {
+                room.handleMessage(ws, clientId, parsedMessage);
             }
         } catch (error) {
-            console.error('Error processing message:', error);
+            log.error('Error processing message:', error);
         }
     });
 
     // Handle WebSocket disconnections
     ws.on('close', () => {
-        console.log(`Client ${clientId} disconnected`);
-        clients.delete(ws);
-        playerPositions.delete(clientId);
-        playerVelocities.delete(clientId);
-        playerChunks.delete(clientId);
-        playerKeys.delete(clientId);
+        log.info(`Client ${clientId} disconnected`);
+
+        // Save where the diver left off
+        const state = room.removePlayer(ws);
+        playerStore.flush();
+        if (!shuttingDown) {
+            roomManager.release(room);
+        }
+
+        // Keep the player's state around in case they reconnect shortly
+        sessionStore.suspend(sessionToken, {
+            clientId: clientId,
+            profile: profile,
+            roomName: room.name,
+            roomKey: roomKey,
+            position: state.position,
+            velocity: state.velocity,
+            oxygen: state.oxygen
+        }, expireSession);
     });
-    
-    // Send welcome message with client ID
-    ws.send(JSON.stringify({
-        type: 'welcome',
-        id: clientId
-    }));
-    
-    // Send current fish data
-    const fishData = {};
-    for (const [fishId, fish] of fishEntities.entries()) {
-        fishData[fishId] = fish;
-    }
-    if (Object.keys(fishData).length > 0) {
-        ws.send(JSON.stringify({
-            type: 'fishInit',
-            fish: fishData
-        }));
-    }
 });
 
-// Spawn fish for a given chunk
-function spawnFishForChunk(chunkX, chunkZ) {
-    console.log(`Spawning fish for chunk ${chunkX},${chunkZ}`);
-    
-    // Reduce the number of fish per chunk to 10% of previous amount
-    const fishPerChunk = 1; // Reduced from 15 to 1 (about 10% of original)
-    
-    // Spawn fishPerChunk fish in random positions within the chunk
-    for (let i = 0; i < fishPerChunk; i++) {
-        const fishId = nextFishId++;
-        
-        // Random position within the chunk
-        const x = chunkX * CHUNK_SIZE + Math.random() * CHUNK_SIZE;
-        const y = -3 + Math.random() * 2; // Random height between -3 and -1
-        const z = chunkZ * CHUNK_SIZE + Math.random() * CHUNK_SIZE;
-        
-        // Generate random initial velocity
-        const vx = (Math.random() * 2 - 1) * 2; // Random velocity between -2 and 2
-        const vy = (Math.random() * 2 - 1) * 0.5; // Smaller vertical movement
-        const vz = (Math.random() * 2 - 1) * 2; // Random velocity between -2 and 2
-        
-        // Create fish entity
-        const fish = {
-            id: fishId,
-            chunkX: chunkX,
-            chunkZ: chunkZ,
-            position: { x, y, z },
-            velocity: { x: vx, y: vy, z: vz },
-            lastDirectionChange: Date.now()
-        };
-        
-        // Add to fish entities map
-        fishEntities.set(fishId, fish);
-        
-        // Broadcast fish creation to all clients
-        wss.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({
-                    type: 'fishSpawn',
-                    fish: fish
-                }));
-            }
-        });
+// Read an environment variable that must be a positive whole number, falling back (with a warning) if it isn't
+function positiveInteger(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+
+    const parsed = Number.parseInt(value, 10);
+    if (!Number.isInteger(parsed) || parsed <= 0 || String(parsed) !== value.trim()) {
+        log.warn(`${name}=${value} is not a positive integer, using ${fallback}`);
+        return fallback;
     }
+    return parsed;
 }
 
-// Update fish positions with simple AI behavior
-function updateFishPositions() {
-    const now = Date.now();
-    
-    for (const [fishId, fish] of fishEntities.entries()) {
-        // Change direction randomly every ~3 seconds
-        if (now - fish.lastDirectionChange > 3000 || Math.random() < 0.01) {
-            fish.velocity = {
-                x: (Math.random() * 2 - 1) * 2, // Random velocity between -2 and 2
-                y: (Math.random() * 2 - 1) * 0.5, // Smaller vertical movement
-                z: (Math.random() * 2 - 1) * 2
-            };
-            fish.lastDirectionChange = now;
-        }
-        
-        // Update position based on velocity
-        fish.position.x += fish.velocity.x * 0.02; // Scale by time factor
-        fish.position.y += fish.velocity.y * 0.02;
-        fish.position.z += fish.velocity.z * 0.02;
-        
-        // Keep fish within their chunk boundaries (with some margin)
-        const chunkMinX = fish.chunkX * CHUNK_SIZE + 2;
-        const chunkMaxX = (fish.chunkX + 1) * CHUNK_SIZE - 2;
-        const chunkMinZ = fish.chunkZ * CHUNK_SIZE + 2;
-        const chunkMaxZ = (fish.chunkZ + 1) * CHUNK_SIZE - 2;
-        
-        // Keep the fish within vertical boundaries
-        const minY = -4.5;
-        const maxY = -1;
-        
-        // If fish is trying to leave the chunk, reverse its direction
-        if (fish.position.x < chunkMinX || fish.position.x > chunkMaxX) {
-            fish.velocity.x *= -1;
-            fish.position.x = Math.max(chunkMinX, Math.min(chunkMaxX, fish.position.x));
-        }
-        
-        if (fish.position.z < chunkMinZ || fish.position.z > chunkMaxZ) {
-            fish.velocity.z *= -1;
-            fish.position.z = Math.max(chunkMinZ, Math.min(chunkMaxZ, fish.position.z));
-        }
-        
-        if (fish.position.y < minY || fish.position.y > maxY) {
-            fish.velocity.y *= -1;
-            fish.position.y = Math.max(minY, Math.min(maxY, fish.position.y));
-        }
-    }
+function expireSession(state) {
+    log.info(`Session for client ${state.clientId} expired`);
 }
 
-// Process player movement based on key states
-function updatePlayerPositions() {
-    for (const [clientId, keyState] of playerKeys.entries()) {
-        // Get current position
-        const position = playerPositions.get(clientId);
-        if (!position) continue;
-        
-        // Get or initialize velocity
-        let velocity = playerVelocities.get(clientId) || { x: 0, y: 0, z: 0 };
-        
-        // Apply movement based on keys
-        velocity.x = 0;
-        velocity.z = 0;
-        
-        if (keyState.ArrowUp) velocity.z = -MOVE_SPEED;
-        if (keyState.ArrowDown) velocity.z = MOVE_SPEED;
-        if (keyState.ArrowLeft) velocity.x = -MOVE_SPEED;
-        if (keyState.ArrowRight) velocity.x = MOVE_SPEED;
-        
-        // Apply damping (simulate water resistance)
-        const damping = 0.9;
-        velocity.x *= damping;
-        velocity.z *= damping;
-        
-        // Update position based on velocity
-        position.x += velocity.x * 0.1; // Scale by time factor (0.1 seconds)
-        position.z += velocity.z * 0.1;
-        
-        // Update stored values
-        playerPositions.set(clientId, position);
-        playerVelocities.set(clientId, velocity);
+// Periodically save connected players' profiles
+const profileFlushLoop = setInterval(() => {
+    for (const room of roomManager.rooms.values()) {
+        room.syncProfiles();
     }
-}
+    playerStore.flush();
+}, PROFILE_FLUSH_INTERVAL);
+
+// Graceful shutdown: warn clients, save the world and every profile, then close sockets with a proper close code
+const SHUTDOWN_REASON = process.env.SHUTDOWN_REASON || 'Server maintenance';
+const SHUTDOWN_DOWNTIME = positiveInteger('SHUTDOWN_DOWNTIME', 60); // Expected downtime (whole seconds) announced to clients
+const SHUTDOWN_TIMEOUT = 5000; // Exit anyway if clients haven't closed their sockets after this long (ms)
+let shuttingDown = false;
 
-// Game state (will be expanded in future steps)
-const gameState = {
-    timestamp: Date.now(),
-    players: {}, // Will contain player positions for broadcasting
-    fish: {} // Will contain fish positions for broadcasting
-};
-
-// Game loop - runs every 100ms
-const gameLoop = setInterval(() => {
-    // Update player positions based on key states
-    updatePlayerPositions();
-    
-    // Update fish positions with AI movement
-    updateFishPositions();
-    
-    // Update game state
-    gameState.timestamp = Date.now();
-    
-    // Update player positions in game state
-    gameState.players = {};
-    for (const [clientId, position] of playerPositions.entries()) {
-        gameState.players[clientId] = position;
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log.info(`Received ${signal}, shutting down`);
+
+    // Stop accepting new connections; open sockets stay up until we close them below
+    server.close();
+    clearInterval(profileFlushLoop);
+
+    // Tell everyone what's happening and how long to stay away
+    for (const room of roomManager.rooms.values()) {
+        room.broadcast({
+            type: 'serverShutdown',
+            reason: SHUTDOWN_REASON,
+            downtime: SHUTDOWN_DOWNTIME
+        });
     }
-    
-    // Update fish positions in game state
-    gameState.fish = {};
-    for (const [fishId, fish] of fishEntities.entries()) {
-        gameState.fish[fishId] = {
-            id: fish.id,
-            position: fish.position,
-            velocity: fish.velocity,
-            chunkX: fish.chunkX,
-            chunkZ: fish.chunkZ
-        };
+
+    // Stop the game loops (closing a room keeps its checkpoint) and save the world as it is now
+    roomManager.shutdownAll();
+    worldStore.save();
+    playerStore.flush();
+
+    for (const client of wss.clients) {
+        client.close(Protocol.CLOSE_CODES.serverShutdown, 'Server shutting down');
     }
-    
-    // Log a simple message to show game loop is working
-    console.log(`Game loop tick at ${new Date().toISOString()}`);
-    
-    // Broadcast the updated state to all clients
-    wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({
-                type: 'gameState',
-                data: gameState
-            }));
+
+    // Each socket's close handler saves its player; exit once they have all run
+    const startedAt = Date.now();
+    const waitForClients = setInterval(() => {
+        if (wss.clients.size > 0 && Date.now() - startedAt < SHUTDOWN_TIMEOUT) return;
+
+        clearInterval(waitForClients);
+        if (wss.clients.size > 0) {
+            log.warn(`Gave up waiting for ${wss.clients.size} client(s) to disconnect`);
         }
-    });
-}, 100);
+        playerStore.flush();
+        process.exit(0);
+    }, 50);
+}
 
-// Cleanup on server shutdown
-process.on('SIGINT', () => {
-    clearInterval(gameLoop);
-    process.exit();
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the server
 server.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-}); 
\ No newline at end of file
+    log.info(`Server running on http://localhost:${PORT} (world seed ${WORLD_SEED})`);
+});
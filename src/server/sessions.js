@@ -0,0 +1,58 @@
+// Underwater Odyssey - Session Store
+// Holds on to a disconnected player's state for a grace period so a reconnecting client can resume
+const crypto = require('crypto');
+
+class SessionStore {
+    constructor(gracePeriod) {
+        this.gracePeriod = gracePeriod; // How long (ms) a disconnected session can be resumed
+        this.suspended = new Map(); // Map of session token to {state, timer}
+        this.revoked = new Set(); // Tokens of live connections that must not be resumed once they close
+    }
+
+    // Generate a new, hard to guess session token
+    createToken() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    // Park a player's state until they reconnect or the grace period runs out
+    suspend(token, state, onExpire) {
+        this.discard(token);
+
+        // A revoked session ends with its connection; the player has to start a new one
+        if (this.revoked.delete(token)) return;
+
+        const timer = setTimeout(() => {
+            this.suspended.delete(token);
+            onExpire(state);
+        }, this.gracePeriod);
+
+        this.suspended.set(token, { state, timer });
+    }
+
+    // Reclaim a suspended player's state; returns null if the token is unknown or expired
+    resume(token) {
+        const session = this.suspended.get(token);
+        if (!session) return null;
+
+        clearTimeout(session.timer);
+        this.suspended.delete(token);
+        return session.state;
+    }
+
+    // Make sure a session can never be resumed, e.g. because its player was kicked
+    revoke(token) {
+        this.discard(token);
+        this.revoked.add(token);
+    }
+
+    // Forget a suspended session without running its expiry callback
+    discard(token) {
+        const session = this.suspended.get(token);
+        if (!session) return;
+
+        clearTimeout(session.timer);
+        this.suspended.delete(token);
+    }
+}
+
+module.exports = { SessionStore };
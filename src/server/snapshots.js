@@ -0,0 +1,149 @@
+// Underwater Odyssey - Delta Snapshots
+// Sends each client only what changed since the last snapshot it acknowledged
+const Protocol = require('../shared/protocol');
+
+// Quantization: positions and velocities are sent as integers in 1/100 units
+const POSITION_SCALE = 100; // Should match client POSITION_SCALE
+const VELOCITY_SCALE = 100; // Should match client VELOCITY_SCALE
+const OXYGEN_SCALE = 100; // Oxygen is sent as a whole percentage, should match client OXYGEN_SCALE
+const SNAPSHOT_HISTORY = 32; // Max unacknowledged snapshots kept per client
+
+// Quantize a player position and oxygen (fraction of a full tank) into a flat snapshot entry
+function quantizePlayer(position, oxygen) {
+    return {
+        x: Math.round(position.x * POSITION_SCALE),
+        y: Math.round(position.y * POSITION_SCALE),
+        z: Math.round(position.z * POSITION_SCALE),
+        o: Math.round(oxygen * OXYGEN_SCALE)
+    };
+}
+
+// Quantize a fish into a flat snapshot entry
+function quantizeFish(fish) {
+    return {
+        x: Math.round(fish.position.x * POSITION_SCALE),
+        y: Math.round(fish.position.y * POSITION_SCALE),
+        z: Math.round(fish.position.z * POSITION_SCALE),
+        vx: Math.round(fish.velocity.x * VELOCITY_SCALE),
+        vy: Math.round(fish.velocity.y * VELOCITY_SCALE),
+        vz: Math.round(fish.velocity.z * VELOCITY_SCALE),
+        cx: fish.chunkX,
+        cz: fish.chunkZ,
+        sp: fish.speciesId,
+        bh: Math.max(0, Protocol.FISH_BEHAVIOURS.indexOf(fish.behaviour))
+    };
+}
+
+// Compare two maps of flat entities and return only new entities and changed fields
+function diffEntities(baseline, current) {
+    const changed = {};
+    const removed = [];
+
+    for (const id in current) {
+        const entity = current[id];
+        const baseEntity = baseline[id];
+
+        // Entities the client doesn't have yet are sent in full
+        if (!baseEntity) {
+            changed[id] = entity;
+            continue;
+        }
+
+        let delta = null;
+        for (const field in entity) {
+            if (entity[field] !== baseEntity[field]) {
+                delta = delta || {};
+                delta[field] = entity[field];
+            }
+        }
+        if (delta) {
+            changed[id] = delta;
+        }
+    }
+
+    for (const id in baseline) {
+        if (!(id in current)) {
+            removed.push(id);
+        }
+    }
+
+    return { changed, removed };
+}
+
+class SnapshotTracker {
+    constructor() {
+        this.clients = new Map(); // Map of client ID to {nextSeq, ackedSeq, history: Map of seq to snapshot}
+    }
+
+    getClient(clientId) {
+        if (!this.clients.has(clientId)) {
+            this.clients.set(clientId, { nextSeq: 1, ackedSeq: null, history: new Map() });
+        }
+        return this.clients.get(clientId);
+    }
+
+    // Record a new snapshot for a client and build the message payload for it
+    // The snapshot is {players, fish}, each a map of ID to quantized entity
+    build(clientId, timestamp, snapshot) {
+        const client = this.getClient(clientId);
+        const seq = client.nextSeq++;
+
+        client.history.set(seq, snapshot);
+        if (client.history.size > SNAPSHOT_HISTORY) {
+            client.history.delete(client.history.keys().next().value);
+        }
+
+        // Use the last acknowledged snapshot as the baseline if we still have it
+        const baseline = client.ackedSeq !== null ? client.history.get(client.ackedSeq) : null;
+        if (!baseline) {
+            return {
+                seq: seq,
+                baseline: null,
+                timestamp: timestamp,
+                players: snapshot.players,
+                fish: snapshot.fish
+            };
+        }
+
+        const players = diffEntities(baseline.players, snapshot.players);
+        const fish = diffEntities(baseline.fish, snapshot.fish);
+        return {
+            seq: seq,
+            baseline: client.ackedSeq,
+            timestamp: timestamp,
+            players: players.changed,
+            fish: fish.changed,
+            removedPlayers: players.removed,
+            removedFish: fish.removed
+        };
+    }
+
+    // The client has applied a snapshot, so it can serve as the next baseline
+    acknowledge(clientId, seq) {
+        const client = this.getClient(clientId);
+        if (!client.history.has(seq) || (client.ackedSeq !== null && seq <= client.ackedSeq)) return;
+
+        client.ackedSeq = seq;
+
+        // Older snapshots can never be used as a baseline again
+        for (const oldSeq of client.history.keys()) {
+            if (oldSeq < seq) {
+                client.history.delete(oldSeq);
+            }
+        }
+    }
+
+    // The client lost its baseline, so send the next snapshot in full
+    requestFull(clientId) {
+        const client = this.getClient(clientId);
+        client.ackedSeq = null;
+        client.history.clear();
+    }
+
+    // Forget all snapshot state for a client
+    reset(clientId) {
+        this.clients.delete(clientId);
+    }
+}
+
+module.exports = { SnapshotTracker, quantizePlayer, quantizeFish };
@@ -0,0 +1,50 @@
+// Underwater Odyssey - Fish Species
+// Looks up species from the shared catalogue and picks them from each biome's weighted spawn table
+const catalogue = require('../shared/species.json');
+const Biomes = require('../shared/biomes');
+
+const speciesById = new Map(); // Map of species ID to species definition
+const speciesByKey = new Map(); // Map of species key to species definition
+for (const species of catalogue.species) {
+    speciesById.set(species.id, species);
+    speciesByKey.set(species.key, species);
+}
+
+// Resolve each biome's spawn table up front, so a typo in a species key fails at startup
+const spawnTables = new Map(); // Map of biome key to {entries: [{species, weight}], totalWeight}
+for (const biome of Object.values(Biomes.BIOMES)) {
+    const resolved = biome.spawnTable.map((entry) => {
+        const species = speciesByKey.get(entry.species);
+        if (!species) {
+            throw new Error(`Spawn table for ${biome.key} references unknown species: ${entry.species}`);
+        }
+        return { species: species, weight: entry.weight };
+    });
+    spawnTables.set(biome.key, {
+        entries: resolved,
+        totalWeight: resolved.reduce((total, entry) => total + entry.weight, 0)
+    });
+}
+
+function getSpecies(speciesId) {
+    return speciesById.get(speciesId);
+}
+
+// Pick a species from a biome's spawn table, weighted by how common each entry is
+function pickSpecies(biome, random = Math.random) {
+    const table = spawnTables.get(biome.key);
+
+    let roll = random() * table.totalWeight;
+    for (const entry of table.entries) {
+        roll -= entry.weight;
+        if (roll < 0) return entry.species;
+    }
+    return table.entries[table.entries.length - 1].species;
+}
+
+// Pick a whole number in a species' [min, max] range, such as its school size
+function randomInRange(range, random = Math.random) {
+    return range[0] + Math.floor(random() * (range[1] - range[0] + 1));
+}
+
+module.exports = { getSpecies, pickSpecies, randomInRange };
@@ -0,0 +1,12 @@
+// Underwater Odyssey - Vector Helpers
+// Small maths helpers for plain {x, y, z} objects, shared by the room and the fish AI
+
+// Distance between two {x, y, z} positions
+function distanceBetween(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+module.exports = { distanceBetween };
@@ -0,0 +1,64 @@
+// Underwater Odyssey - World Checkpoint Store
+// Saves each room's seed and fish to a JSON file on shutdown, so rooms pick up where they left off after a restart
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { createLogger } = require('./logger');
+
+const log = createLogger('world');
+
+class WorldStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.rooms = new Map(); // Map of room name to the checkpoint it was saved with
+    }
+
+    // Load the last checkpoint from disk (missing file means every room starts fresh)
+    load() {
+        try {
+            const contents = readJsonFile(this.filePath);
+            if (!contents) {
+                log.info(`No world checkpoint at ${this.filePath}, starting fresh`);
+                return;
+            }
+
+            for (const room of contents.rooms || []) {
+                this.rooms.set(room.name, room);
+            }
+            log.info(`Loaded ${this.rooms.size} room checkpoints from ${this.filePath}`);
+        } catch (error) {
+            log.error('Error loading world checkpoint:', error);
+        }
+    }
+
+    // The seed a room was saved with, or null if it has no checkpoint
+    savedSeed(roomName) {
+        const checkpoint = this.rooms.get(roomName);
+        return checkpoint ? checkpoint.seed : null;
+    }
+
+    // Hand over a room's checkpoint so it can be restored; each checkpoint is only restored once
+    take(roomName) {
+        const checkpoint = this.rooms.get(roomName) || null;
+        this.rooms.delete(roomName);
+        return checkpoint;
+    }
+
+    // Hold on to a closed room's checkpoint until it reopens or the store is saved
+    keep(checkpoint) {
+        this.rooms.set(checkpoint.name, checkpoint);
+    }
+
+    // Write every checkpoint we hold to disk: rooms closed since startup, and saved rooms that haven't been reopened
+    save() {
+        try {
+            writeJsonFile(this.filePath, {
+                savedAt: Date.now(),
+                rooms: Array.from(this.rooms.values())
+            });
+            log.info(`Saved ${this.rooms.size} room checkpoints to ${this.filePath}`);
+        } catch (error) {
+            log.error('Error saving world checkpoint:', error);
+        }
+    }
+}
+
+module.exports = { WorldStore };
@@ -0,0 +1,251 @@
+// Underwater Odyssey - Binary Wire Protocol
+// Compact ArrayBuffer/DataView encoding for the high-frequency messages (movement, keyPress, gameState)
+// Loaded with require() on the server and as a plain <script> (global BinaryProtocol) in the browser
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BinaryProtocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // First byte of every binary message
+    const MESSAGE_TYPES = {
+        movement: 1,
+        keyPress: 2,
+        gameState: 3
+    };
+
+    // Keys are sent as their index in this list
+    const KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Ascend', 'Dive', 'Sprint'];
+
+    // Quantized snapshot fields, in wire order; each present field is an int32
+    const PLAYER_FIELDS = ['x', 'y', 'z', 'o'];
+    const FISH_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'cx', 'cz', 'sp', 'bh'];
+
+    // Check whether a message type has a binary encoding
+    function isBinaryType(type) {
+        return Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, type);
+    }
+
+    // Encode a message object into an ArrayBuffer
+    function encode(message) {
+        switch (message.type) {
+            case 'movement': return encodeMovement(message);
+            case 'keyPress': return encodeKeyPress(message);
+            case 'gameState': return encodeGameState(message.data);
+            default: throw new Error(`No binary encoding for message type: ${message.type}`);
+        }
+    }
+
+    // Decode an ArrayBuffer (or Node Buffer/typed array) back into a message object
+    function decode(data) {
+        const view = ArrayBuffer.isView(data)
+            ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+            : new DataView(data);
+
+        switch (view.getUint8(0)) {
+            case MESSAGE_TYPES.movement: return decodeMovement(view);
+            case MESSAGE_TYPES.keyPress: return decodeKeyPress(view);
+            case MESSAGE_TYPES.gameState: return decodeGameState(view);
+            default: throw new Error(`Unknown binary message type: ${view.getUint8(0)}`);
+        }
+    }
+
+    // movement: type, flags (bit 0 = has velocity), position xyz, velocity xyz (float32)
+    function encodeMovement(message) {
+        const hasVelocity = Boolean(message.velocity);
+        const view = new DataView(new ArrayBuffer(2 + 12 + (hasVelocity ? 12 : 0)));
+
+        view.setUint8(0, MESSAGE_TYPES.movement);
+        view.setUint8(1, hasVelocity ? 1 : 0);
+        view.setFloat32(2, message.position.x, true);
+        view.setFloat32(6, message.position.y, true);
+        view.setFloat32(10, message.position.z, true);
+        if (hasVelocity) {
+            view.setFloat32(14, message.velocity.x, true);
+            view.setFloat32(18, message.velocity.y, true);
+            view.setFloat32(22, message.velocity.z, true);
+        }
+        return view.buffer;
+    }
+
+    function decodeMovement(view) {
+        const message = {
+            type: 'movement',
+            position: {
+                x: view.getFloat32(2, true),
+                y: view.getFloat32(6, true),
+                z: view.getFloat32(10, true)
+            }
+        };
+        if (view.getUint8(1) & 1) {
+            message.velocity = {
+                x: view.getFloat32(14, true),
+                y: view.getFloat32(18, true),
+                z: view.getFloat32(22, true)
+            };
+        }
+        return message;
+    }
+
+    // keyPress: type, key index, pressed (0/1)
+    function encodeKeyPress(message) {
+        const keyIndex = KEYS.indexOf(message.key);
+        if (keyIndex === -1) {
+            throw new Error(`No binary encoding for key: ${message.key}`);
+        }
+
+        const view = new DataView(new ArrayBuffer(3));
+        view.setUint8(0, MESSAGE_TYPES.keyPress);
+        view.setUint8(1, keyIndex);
+        view.setUint8(2, message.pressed ? 1 : 0);
+        return view.buffer;
+    }
+
+    function decodeKeyPress(view) {
+        return {
+            type: 'keyPress',
+            key: KEYS[view.getUint8(1)],
+            pressed: view.getUint8(2) === 1
+        };
+    }
+
+    // gameState: type, seq (uint32), baseline (uint32, 0 = full), timestamp (float64),
+    // then player and fish entity sections, then removed player and fish ID lists
+    function encodeGameState(data) {
+        const players = Object.entries(data.players || {});
+        const fish = Object.entries(data.fish || {});
+        const removedPlayers = data.removedPlayers || [];
+        const removedFish = data.removedFish || [];
+
+        // Work out the exact size before writing
+        let size = 1 + 4 + 4 + 8;
+        size += entitySectionSize(players, PLAYER_FIELDS);
+        size += entitySectionSize(fish, FISH_FIELDS);
+        size += 2 + removedPlayers.length * 4;
+        size += 2 + removedFish.length * 4;
+
+        const view = new DataView(new ArrayBuffer(size));
+        let offset = 0;
+        view.setUint8(offset, MESSAGE_TYPES.gameState); offset += 1;
+        view.setUint32(offset, data.seq, true); offset += 4;
+        view.setUint32(offset, data.baseline === null ? 0 : data.baseline, true); offset += 4;
+        view.setFloat64(offset, data.timestamp, true); offset += 8;
+
+        offset = writeEntitySection(view, offset, players, PLAYER_FIELDS);
+        offset = writeEntitySection(view, offset, fish, FISH_FIELDS);
+        offset = writeIdList(view, offset, removedPlayers);
+        writeIdList(view, offset, removedFish);
+
+        return view.buffer;
+    }
+
+    function decodeGameState(view) {
+        let offset = 1;
+        const seq = view.getUint32(offset, true); offset += 4;
+        const baseline = view.getUint32(offset, true); offset += 4;
+        const timestamp = view.getFloat64(offset, true); offset += 8;
+
+        const players = readEntitySection(view, offset, PLAYER_FIELDS);
+        const fish = readEntitySection(view, players.offset, FISH_FIELDS);
+        const removedPlayers = readIdList(view, fish.offset);
+        const removedFish = readIdList(view, removedPlayers.offset);
+
+        const data = {
+            seq: seq,
+            baseline: baseline === 0 ? null : baseline,
+            timestamp: timestamp,
+            players: players.entities,
+            fish: fish.entities
+        };
+        if (data.baseline !== null) {
+            data.removedPlayers = removedPlayers.ids;
+            data.removedFish = removedFish.ids;
+        }
+        return { type: 'gameState', data: data };
+    }
+
+    // Field masks need one byte per 8 fields
+    function maskBytes(fields) {
+        return Math.ceil(fields.length / 8);
+    }
+
+    // Entity section: count (uint16), then per entity: id (uint32), field mask, int32 per present field
+    function entitySectionSize(entries, fields) {
+        let size = 2;
+        for (const [, entity] of entries) {
+            size += 4 + maskBytes(fields);
+            for (const field of fields) {
+                if (field in entity) size += 4;
+            }
+        }
+        return size;
+    }
+
+    function writeEntitySection(view, offset, entries, fields) {
+        view.setUint16(offset, entries.length, true); offset += 2;
+
+        for (const [id, entity] of entries) {
+            view.setUint32(offset, Number(id), true); offset += 4;
+
+            const maskOffset = offset;
+            offset += maskBytes(fields);
+            for (let i = 0; i < fields.length; i++) {
+                if (!(fields[i] in entity)) continue;
+
+                const byteIndex = maskOffset + (i >> 3);
+                view.setUint8(byteIndex, view.getUint8(byteIndex) | (1 << (i & 7)));
+                view.setInt32(offset, entity[fields[i]], true); offset += 4;
+            }
+        }
+        return offset;
+    }
+
+    function readEntitySection(view, offset, fields) {
+        const entities = {};
+        const count = view.getUint16(offset, true); offset += 2;
+
+        for (let n = 0; n < count; n++) {
+            const id = view.getUint32(offset, true); offset += 4;
+
+            const maskOffset = offset;
+            offset += maskBytes(fields);
+            const entity = {};
+            for (let i = 0; i < fields.length; i++) {
+                if (view.getUint8(maskOffset + (i >> 3)) & (1 << (i & 7))) {
+                    entity[fields[i]] = view.getInt32(offset, true); offset += 4;
+                }
+            }
+            entities[id] = entity;
+        }
+        return { entities, offset };
+    }
+
+    // ID list: count (uint16), then uint32 per ID
+    function writeIdList(view, offset, ids) {
+        view.setUint16(offset, ids.length, true); offset += 2;
+        for (const id of ids) {
+            view.setUint32(offset, Number(id), true); offset += 4;
+        }
+        return offset;
+    }
+
+    function readIdList(view, offset) {
+        const ids = [];
+        const count = view.getUint16(offset, true); offset += 2;
+        for (let n = 0; n < count; n++) {
+            ids.push(view.getUint32(offset, true)); offset += 4;
+        }
+        return { ids, offset };
+    }
+
+    return {
+        MESSAGE_TYPES,
+        KEYS,
+        PLAYER_FIELDS,
+        FISH_FIELDS,
+        isBinaryType,
+        encode,
+        decode
+    };
+});
@@ -0,0 +1,122 @@
+// Underwater Odyssey - Biomes
+// Classifies any point in the world into a biome from seeded noise and depth, and defines how each biome
+// looks (fog, ambient light, coral colours) and which fish live there
+// Loaded with require() on the server and as a plain <script> (global Biomes, after worldGen.js) in the browser
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./worldGen'));
+    } else {
+        root.Biomes = factory(root.WorldGen);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WorldGen) {
+    // Biome definitions; colours are CSS hex strings, spawn tables list species keys from species.json with weights
+    const BIOMES = {
+        reef: {
+            key: 'reef',
+            name: 'Coral Reef',
+            fog: { color: '#0a4a9e', density: 0.02 },
+            ambientLight: { color: '#556677', intensity: 0.7 },
+            coralPalette: ['#00aa44', '#ff6f61', '#f7b32b', '#c355f5'],
+            spawnTable: [
+                { species: 'clownfish', weight: 30 },
+                { species: 'blueTang', weight: 25 },
+                { species: 'sergeantMajor', weight: 25 },
+                { species: 'lionfish', weight: 8 },
+                { species: 'barracuda', weight: 7 },
+                { species: 'grouper', weight: 4 },
+                { species: 'goldenSnapper', weight: 1 }
+            ]
+        },
+        kelpForest: {
+            key: 'kelpForest',
+            name: 'Kelp Forest',
+            fog: { color: '#1f5a3a', density: 0.03 },
+            ambientLight: { color: '#4a6650', intensity: 0.55 },
+            coralPalette: ['#2e7d32', '#558b2f', '#827717'],
+            spawnTable: [
+                { species: 'sergeantMajor', weight: 35 },
+                { species: 'blueTang', weight: 20 },
+                { species: 'barracuda', weight: 15 },
+                { species: 'grouper', weight: 8 },
+                { species: 'goldenSnapper', weight: 2 }
+            ]
+        },
+        openOcean: {
+            key: 'openOcean',
+            name: 'Open Ocean',
+            fog: { color: '#0b3d7a', density: 0.015 },
+            ambientLight: { color: '#5a6a80', intensity: 0.8 },
+            coralPalette: ['#00aa44', '#4db6ac'],
+            spawnTable: [
+                { species: 'blueTang', weight: 30 },
+                { species: 'barracuda', weight: 25 },
+                { species: 'sergeantMajor', weight: 20 },
+                { species: 'goldenSnapper', weight: 2 }
+            ]
+        },
+        trench: {
+            key: 'trench',
+            name: 'Trench',
+            fog: { color: '#03122b', density: 0.045 },
+            ambientLight: { color: '#223044', intensity: 0.3 },
+            coralPalette: ['#37474f', '#455a64', '#5c6bc0'],
+            spawnTable: [
+                { species: 'grouper', weight: 30 },
+                { species: 'lionfish', weight: 30 },
+                { species: 'goldenSnapper', weight: 5 }
+            ]
+        },
+        vents: {
+            key: 'vents',
+            name: 'Hydrothermal Vents',
+            fog: { color: '#2b1a14', density: 0.04 },
+            ambientLight: { color: '#664433', intensity: 0.45 },
+            coralPalette: ['#8d6e63', '#bf360c', '#ffab40'],
+            spawnTable: [
+                { species: 'lionfish', weight: 40 },
+                { species: 'grouper', weight: 20 },
+                { species: 'goldenSnapper', weight: 6 }
+            ]
+        }
+    };
+
+    // Regions come from low-frequency noise, so biomes span several chunks
+    const REGION_SCALE = 0.01;
+    const HEAT_SCALE = 0.03;
+    const TRENCH_THRESHOLD = 0.3; // Regions below this are trenches (or vents where it's hot)
+    const OPEN_OCEAN_THRESHOLD = 0.42; // Between trench and this is open ocean
+    const KELP_THRESHOLD = 0.62; // Above this is kelp forest; in between is reef
+    const VENT_HEAT = 0.6; // Trench areas hotter than this have vents
+    const TRENCH_DEPTH = -5; // Trenches and vents only start below this height; above them is open water
+    const SURFACE_WATER_Y = 0; // Above this, everywhere except the kelp canopy is open ocean
+
+    // Independent noise seeds for the region and heat maps, derived from the world seed
+    const REGION_SALT = 0x5b1e;
+    const HEAT_SALT = 0x7e47;
+
+    // Classify a world position into a biome definition
+    function biomeAt(seed, x, y, z) {
+        const region = WorldGen.noise(WorldGen.hash(seed, REGION_SALT), x * REGION_SCALE, z * REGION_SCALE);
+
+        if (region < TRENCH_THRESHOLD) {
+            if (y >= TRENCH_DEPTH) return BIOMES.openOcean;
+            const heat = WorldGen.noise(WorldGen.hash(seed, HEAT_SALT), x * HEAT_SCALE, z * HEAT_SCALE);
+            return heat > VENT_HEAT ? BIOMES.vents : BIOMES.trench;
+        }
+        if (region > KELP_THRESHOLD) return BIOMES.kelpForest;
+        if (region < OPEN_OCEAN_THRESHOLD || y > SURFACE_WATER_Y) return BIOMES.openOcean;
+        return BIOMES.reef;
+    }
+
+    // Pick a colour from a biome's coral palette for a given coral, the same way on every client
+    function coralColor(seed, biome, x, z) {
+        const index = WorldGen.hash(seed, Math.floor(x * 100), Math.floor(z * 100)) % biome.coralPalette.length;
+        return biome.coralPalette[index];
+    }
+
+    return {
+        BIOMES,
+        biomeAt,
+        coralColor
+    };
+});
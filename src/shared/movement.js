@@ -0,0 +1,46 @@
+// Underwater Odyssey - Diver Movement
+// Swim speeds, buoyancy and water column limits, so the browser client, the server and the load test bots move divers alike
+// Loaded with require() on the server and as a plain <script> (global Movement, after worldGen.js) in the browser
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./worldGen'));
+    } else {
+        root.Movement = factory(root.WorldGen);
+    }
+})(typeof self !== 'undefined' ? self : this, function (WorldGen) {
+    const MOVE_SPEED = 10; // Horizontal swim speed (units/second)
+    const SPRINT_MULTIPLIER = 1.6; // Sprinting speed as a multiple of MOVE_SPEED
+    const VERTICAL_SPEED = 4; // Dive/ascend speed
+
+    // Divers are 1x1x1 boxes kept between the sea floor and the surface
+    const PLAYER_HALF_EXTENT = 0.5;
+    const MIN_PLAYER_Y = WorldGen.SEAFLOOR_Y + PLAYER_HALF_EXTENT; // Resting on the sea floor
+    const MAX_PLAYER_Y = WorldGen.SURFACE_Y - PLAYER_HALF_EXTENT; // Top of the diver level with the surface
+
+    // Divers are slightly buoyant: left alone they float up to the surface, where they can breathe
+    const NEUTRAL_BUOYANCY_Y = MAX_PLAYER_Y; // Divers drift towards this height when not diving or ascending
+    const BUOYANCY_RATE = 0.5; // Drift speed per unit away from neutral buoyancy
+    const MAX_BUOYANCY_SPEED = 1.5; // Fastest a diver drifts
+
+    // Swim up or down while a vertical key is held, otherwise drift back towards neutral buoyancy
+    function verticalVelocity(keyState, y) {
+        if (keyState.Ascend && !keyState.Dive) return VERTICAL_SPEED;
+        if (keyState.Dive && !keyState.Ascend) return -VERTICAL_SPEED;
+
+        const drift = (NEUTRAL_BUOYANCY_Y - y) * BUOYANCY_RATE;
+        return Math.max(-MAX_BUOYANCY_SPEED, Math.min(MAX_BUOYANCY_SPEED, drift));
+    }
+
+    return {
+        MOVE_SPEED,
+        SPRINT_MULTIPLIER,
+        VERTICAL_SPEED,
+        NEUTRAL_BUOYANCY_Y,
+        BUOYANCY_RATE,
+        MAX_BUOYANCY_SPEED,
+        PLAYER_HALF_EXTENT,
+        MIN_PLAYER_Y,
+        MAX_PLAYER_Y,
+        verticalVelocity
+    };
+});
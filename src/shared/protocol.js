@@ -0,0 +1,159 @@
+// Underwater Odyssey - Message Protocol
+// Every message exchanged between client and server, with its fields and their types
+// Loaded with require() on the server and as a plain <script> (global Protocol) in the browser
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Protocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Bump whenever a message is added, removed or changes shape
+    // 2: fish species, behaviour and oxygen fields in binary gameState; fishDespawn, worldSeed,
+    //    positionCorrection, chat, join/playerAppearance and joinRoom/roomJoined; rate limit and shutdown close codes
+    const PROTOCOL_VERSION = 2;
+
+    // WebSocket close codes used by the server (4000-4999 are reserved for applications; 1001 is the standard "going away")
+    const CLOSE_CODES = {
+        serverShutdown: 1001,
+        versionMismatch: 4000,
+        roomUnavailable: 4001,
+        kicked: 4002,
+        rateLimited: 4003
+    };
+
+    // Fish behaviour states; delta snapshots send a fish's state as its index in this list
+    const FISH_BEHAVIOURS = ['idle', 'curious', 'fleeing', 'hunting'];
+
+    // Diver suit styles players can pick on the join screen
+    const SUIT_STYLES = ['classic', 'streamlined', 'bubble'];
+    const MAX_NAME_LENGTH = 20;
+
+    // Field types: 'string', 'boolean', 'number' (finite), 'integer', 'vector3' ({x, y, z} numbers),
+    // 'object', 'array' or 'any'; a trailing '?' marks the field as optional
+
+    // Messages sent by the client
+    const CLIENT_MESSAGES = {
+        keyPress: { key: 'string', pressed: 'boolean' },
+        movement: { position: 'vector3', velocity: 'vector3?' },
+        castLine: { fishId: 'integer' },
+        reelIn: {},
+        chat: { channel: 'string', text: 'string' },
+        join: { name: 'string', color: 'string', style: 'string' },
+        joinRoom: { room: 'string', key: 'string?' },
+        snapshotAck: { seq: 'integer' },
+        snapshotRequest: {}
+    };
+
+    // Messages sent by the server
+    const SERVER_MESSAGES = {
+        welcome: {
+            id: 'integer',
+            protocolVersion: 'integer',
+            worldSeed: 'integer',
+            room: 'string',
+            sessionToken: 'string',
+            resumed: 'boolean',
+            encoding: 'string',
+            profile: 'object'
+        },
+        resync: {
+            position: 'vector3',
+            velocity: 'vector3',
+            chunk: 'object',
+            players: 'object',
+            fish: 'object',
+            lines: 'object'
+        },
+        roomJoined: { room: 'string', worldSeed: 'integer' },
+        serverShutdown: { reason: 'string', downtime: 'integer' },
+        chunkUpdate: { chunkX: 'integer', chunkZ: 'integer' },
+        positionCorrection: { position: 'vector3', velocity: 'vector3' },
+        blackout: { position: 'vector3', lostFish: 'integer' },
+        fishSpawn: { fish: 'object' },
+        fishDespawn: { fishIds: 'array' },
+        gameState: { data: 'object' },
+        entitiesEntered: { players: 'object', fish: 'object' },
+        entitiesLeft: { players: 'array', fish: 'array' },
+        lineCast: { clientId: 'integer', fishId: 'integer' },
+        castRejected: { fishId: 'integer', reason: 'string' },
+        fishHooked: { clientId: 'integer', fishId: 'integer', window: 'number' },
+        fishCaught: { clientId: 'integer', fishId: 'integer' },
+        fishEscaped: { clientId: 'integer', fishId: 'integer', reason: 'string' },
+        inventoryUpdate: { inventory: 'array', stats: 'object' },
+        chat: { clientId: 'integer', name: 'string', channel: 'string', text: 'string', timestamp: 'integer' },
+        playerAppearance: { clientId: 'integer', name: 'string', color: 'string', style: 'string' },
+        error: { code: 'string', message: 'string', requestType: 'string?' }
+    };
+
+    // Check a single value against a field type
+    function matchesType(value, type) {
+        switch (type) {
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            case 'number': return Number.isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'vector3':
+                return isPlainObject(value) &&
+                    Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
+            case 'object': return isPlainObject(value);
+            case 'array': return Array.isArray(value);
+            case 'any': return true;
+            default: return false;
+        }
+    }
+
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    // Validate a message against a schema table; returns {code, message} or null if valid
+    function validate(schemas, message) {
+        if (!isPlainObject(message) || typeof message.type !== 'string') {
+            return { code: 'invalidMessage', message: 'Message must be an object with a string type' };
+        }
+
+        const schema = Object.prototype.hasOwnProperty.call(schemas, message.type) ? schemas[message.type] : null;
+        if (!schema) {
+            return { code: 'unknownMessageType', message: `Unknown message type: ${message.type}` };
+        }
+
+        for (const field in schema) {
+            const optional = schema[field].endsWith('?');
+            const type = optional ? schema[field].slice(0, -1) : schema[field];
+            const value = message[field];
+
+            if (value === undefined) {
+                if (optional) continue;
+                return { code: 'invalidMessage', message: `${message.type}: missing field ${field}` };
+            }
+            if (!matchesType(value, type)) {
+                return { code: 'invalidMessage', message: `${message.type}: field ${field} must be ${type}` };
+            }
+        }
+
+        return null;
+    }
+
+    // Validate a message received by the server
+    function validateClientMessage(message) {
+        return validate(CLIENT_MESSAGES, message);
+    }
+
+    // Validate a message received by the client
+    function validateServerMessage(message) {
+        return validate(SERVER_MESSAGES, message);
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        CLOSE_CODES,
+        FISH_BEHAVIOURS,
+        SUIT_STYLES,
+        MAX_NAME_LENGTH,
+        CLIENT_MESSAGES,
+        SERVER_MESSAGES,
+        validateClientMessage,
+        validateServerMessage
+    };
+});
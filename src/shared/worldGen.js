@@ -0,0 +1,139 @@
+// Underwater Odyssey - World Generation
+// Deterministic terrain for a chunk from the world seed, so every client and the server agree on the reef
+// Loaded with require() on the server and as a plain <script> (global WorldGen) in the browser
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WorldGen = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CHUNK_SIZE = 16; // Size of each chunk in world units
+    const SEAFLOOR_Y = -10; // Height of the sea floor
+    const SURFACE_Y = 15; // Height of the water surface; divers can't swim above it
+    const CORAL_THRESHOLD = 0.7; // Coral grows where the noise value is above this
+    const ROCKS_PER_CHUNK_MAX = 3;
+    const SPAWN_POINTS_PER_CHUNK = 4;
+    const FISH_MIN_Y = -4.5; // Fish spawn band, matching the depths fish swim at
+    const FISH_MAX_Y = -1;
+
+    // Mix any number of integers into a well-distributed unsigned 32-bit hash
+    function hash(...values) {
+        let h = 0x811c9dc5;
+        for (const value of values) {
+            h = Math.imul(h ^ (value | 0), 0x01000193);
+            h ^= h >>> 15;
+            h = Math.imul(h, 0x2c1b3c6d);
+            h ^= h >>> 12;
+        }
+        return h >>> 0;
+    }
+
+    // Small, fast seeded random number generator (mulberry32); returns values in [0, 1)
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function random() {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Smoothed 2D value noise in [0, 1)
+    function noise(seed, x, z) {
+        const xi = Math.floor(x);
+        const zi = Math.floor(z);
+        const xf = x - xi;
+        const zf = z - zi;
+
+        // Hash coordinates for corners
+        const h00 = hash(seed, xi, zi) / 4294967296;
+        const h01 = hash(seed, xi, zi + 1) / 4294967296;
+        const h10 = hash(seed, xi + 1, zi) / 4294967296;
+        const h11 = hash(seed, xi + 1, zi + 1) / 4294967296;
+
+        // Smoothing function
+        const sx = 3 * Math.pow(xf, 2) - 2 * Math.pow(xf, 3);
+        const sz = 3 * Math.pow(zf, 2) - 2 * Math.pow(zf, 3);
+
+        // Interpolate
+        const v1 = h00 + sx * (h10 - h00);
+        const v2 = h01 + sx * (h11 - h01);
+        return v1 + sz * (v2 - v1);
+    }
+
+    // Multiple octaves of noise for a more natural look
+    function reefNoise(seed, x, z) {
+        return noise(seed, x * 0.1, z * 0.1) * 0.5 +
+            noise(seed, x * 0.2, z * 0.2) * 0.3 +
+            noise(seed, x * 0.4, z * 0.4) * 0.2;
+    }
+
+    // Generate the contents of a chunk: coral, rocks and fish spawn points, all in world coordinates
+    function generateChunk(seed, chunkX, chunkZ) {
+        const random = createRandom(hash(seed, chunkX, chunkZ));
+        const worldX = chunkX * CHUNK_SIZE;
+        const worldZ = chunkZ * CHUNK_SIZE;
+
+        // Place corals based on noise, with seeded jitter, scale and rotation
+        const coral = [];
+        for (let x = 0; x < CHUNK_SIZE; x++) {
+            for (let z = 0; z < CHUNK_SIZE; z++) {
+                const noiseValue = reefNoise(seed, worldX + x, worldZ + z);
+                if (noiseValue <= CORAL_THRESHOLD) continue;
+
+                coral.push({
+                    x: worldX + x + (random() * 0.5 - 0.25),
+                    y: -5 + (noiseValue - CORAL_THRESHOLD) * 3, // Height based on noise value
+                    z: worldZ + z + (random() * 0.5 - 0.25),
+                    scale: 0.8 + random() * 0.4,
+                    rotation: random() * Math.PI * 2
+                });
+            }
+        }
+
+        // Scatter a few rocks on the sea floor
+        const rocks = [];
+        const rockCount = Math.floor(random() * (ROCKS_PER_CHUNK_MAX + 1));
+        for (let i = 0; i < rockCount; i++) {
+            const radius = 0.5 + random() * 1.5;
+            rocks.push({
+                x: worldX + random() * CHUNK_SIZE,
+                y: SEAFLOOR_Y + radius * 0.5, // Partly buried
+                z: worldZ + random() * CHUNK_SIZE,
+                radius: radius,
+                rotation: random() * Math.PI * 2
+            });
+        }
+
+        // Points in open water where fish can spawn, kept away from the chunk edges
+        const spawnPoints = [];
+        for (let i = 0; i < SPAWN_POINTS_PER_CHUNK; i++) {
+            spawnPoints.push({
+                x: worldX + 2 + random() * (CHUNK_SIZE - 4),
+                y: FISH_MIN_Y + random() * (FISH_MAX_Y - FISH_MIN_Y),
+                z: worldZ + 2 + random() * (CHUNK_SIZE - 4)
+            });
+        }
+
+        return { chunkX, chunkZ, coral, rocks, spawnPoints };
+    }
+
+    // Pick a random world seed
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    return {
+        CHUNK_SIZE,
+        SEAFLOOR_Y,
+        SURFACE_Y,
+        hash,
+        createRandom,
+        noise,
+        generateChunk,
+        randomSeed
+    };
+});
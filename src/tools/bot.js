@@ -0,0 +1,232 @@
+// Underwater Odyssey - Headless Bot
+// A simulated diver that speaks the same protocol as the browser client, for load testing
+const { performance } = require('perf_hooks');
+const WebSocket = require('ws');
+const BinaryProtocol = require('../shared/binaryProtocol');
+const Protocol = require('../shared/protocol');
+const Movement = require('../shared/movement');
+
+const { MOVE_SPEED, SPRINT_MULTIPLIER, MIN_PLAYER_Y, MAX_PLAYER_Y } = Movement; // Swim like the browser client
+const PING_INTERVAL = 1000; // Measure the round trip to the server once a second (ms)
+const POSITION_UPDATE_INTERVAL = 50; // Send movement 20 times per second, like the browser client (ms)
+
+// Swim patterns: each returns the keys to hold, given the bot and the time (seconds) since it started swimming
+const PATTERNS = {
+    // Wander: a new random heading (and sometimes a dive or climb) every few seconds
+    random(bot, elapsed) {
+        if (elapsed >= bot.patternState.nextTurn) {
+            bot.patternState.keys = {
+                ArrowUp: Math.random() < 0.5,
+                ArrowLeft: Math.random() < 0.5,
+                Ascend: Math.random() < 0.15,
+                Dive: Math.random() < 0.25,
+                Sprint: Math.random() < 0.2
+            };
+            bot.patternState.keys.ArrowDown = !bot.patternState.keys.ArrowUp && Math.random() < 0.5;
+            bot.patternState.keys.ArrowRight = !bot.patternState.keys.ArrowLeft && Math.random() < 0.5;
+            bot.patternState.nextTurn = elapsed + 2 + Math.random() * 3;
+        }
+        return bot.patternState.keys;
+    },
+
+    // Circle: swim round the starting point, through several chunks, in eight-way steps
+    circle(bot, elapsed) {
+        const angle = (elapsed / 24 + bot.index / 8) * Math.PI * 2; // One lap every 24 seconds
+        const dx = Math.cos(angle);
+        const dz = Math.sin(angle);
+        return {
+            ArrowRight: dx > 0.38,
+            ArrowLeft: dx < -0.38,
+            ArrowDown: dz > 0.38,
+            ArrowUp: dz < -0.38
+        };
+    },
+
+    // Line: sprint in a straight line forever, loading new chunks the whole way
+    line(bot) {
+        const heading = bot.index % 4;
+        return {
+            ArrowUp: heading === 0,
+            ArrowRight: heading === 1,
+            ArrowDown: heading === 2,
+            ArrowLeft: heading === 3,
+            Sprint: true
+        };
+    }
+};
+
+class Bot {
+    constructor({ index, url, room, pattern, encoding, stats }) {
+        this.index = index;
+        this.url = url; // Server base URL, e.g. ws://localhost:3000
+        this.room = room; // Room to join, or null for the default room
+        this.pattern = pattern; // Key of PATTERNS
+        this.encoding = encoding; // 'binary' or 'json'
+        this.stats = stats; // Shared LoadStats the bot reports into
+
+        this.socket = null;
+        this.clientId = null;
+        this.wireEncoding = 'json';
+        this.position = null; // Set by the server's resync
+        this.keyState = {};
+        for (const key of BinaryProtocol.KEYS) {
+            this.keyState[key] = false;
+        }
+        this.patternState = { nextTurn: 0, keys: {} };
+        this.swimStartedAt = 0;
+        this.moveTimer = null;
+        this.pingTimer = null;
+        this.opened = false; // Whether the socket ever connected
+        this.closed = false; // Whether we closed it ourselves at the end of the run
+    }
+
+    connect() {
+        const params = new URLSearchParams();
+        params.set('protocolVersion', Protocol.PROTOCOL_VERSION);
+        if (this.encoding === 'binary') params.set('encoding', 'binary');
+        const roomPath = this.room ? `rooms/${encodeURIComponent(this.room)}` : '';
+
+        this.socket = new WebSocket(`${this.url}/${roomPath}?${params.toString()}`);
+        this.socket.binaryType = 'arraybuffer';
+        this.stats.connecting++;
+
+        this.socket.on('open', () => {
+            this.opened = true;
+            this.stats.connecting--;
+            this.stats.connected++;
+            this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL);
+        });
+        this.socket.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+
+        // Pongs echo the time we sent the ping, so the round trip is timed entirely on our own clock
+        this.socket.on('pong', (data) => {
+            const sentAt = Number(data.toString());
+            if (Number.isFinite(sentAt)) {
+                this.stats.recordRoundTrip(performance.now() - sentAt);
+            }
+        });
+        this.socket.on('close', (code) => {
+            if (this.opened) {
+                this.stats.connected--;
+            } else {
+                this.stats.connecting--;
+                this.stats.failed++;
+            }
+            this.stopTimers();
+            if (!this.closed) {
+                this.stats.recordClose(code);
+            }
+        });
+        this.socket.on('error', (error) => this.stats.recordError(error));
+    }
+
+    close() {
+        this.closed = true;
+        this.stopTimers();
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    stopTimers() {
+        clearInterval(this.moveTimer);
+        clearInterval(this.pingTimer);
+        this.moveTimer = null;
+        this.pingTimer = null;
+    }
+
+    // The server's WebSocket library answers pings from its event loop, so a slow tick shows up in the round trip
+    ping() {
+        if (this.socket.readyState === WebSocket.OPEN) {
+            this.socket.ping(String(performance.now()));
+        }
+    }
+
+    handleMessage(data, isBinary) {
+        const now = Date.now();
+        const bytes = isBinary ? data.byteLength : data.length;
+
+        let message;
+        try {
+            message = isBinary ? BinaryProtocol.decode(data) : JSON.parse(data);
+        } catch (error) {
+            this.stats.recordError(error);
+            return;
+        }
+        this.stats.recordReceived(message.type, bytes);
+        this.stats.recordBotTraffic(this.index, 'in', bytes);
+
+        if (message.type === 'welcome') {
+            this.clientId = message.id;
+            this.wireEncoding = message.encoding || 'json';
+            this.send({ type: 'join', name: `Bot ${this.index}`, color: '#ff00ff', style: Protocol.SUIT_STYLES[this.index % Protocol.SUIT_STYLES.length] });
+        }
+
+        // Start swimming from wherever the server put us
+        else if (message.type === 'resync') {
+            this.position = { ...message.position };
+            if (this.moveTimer === null) {
+                this.swimStartedAt = now;
+                this.moveTimer = setInterval(() => this.swim(), POSITION_UPDATE_INTERVAL);
+            }
+        }
+
+        // The server overruled our position (terrain, blackout, admin teleport)
+        else if (message.type === 'positionCorrection' || message.type === 'blackout') {
+            this.position = { ...message.position };
+        }
+
+        // Ack every snapshot so the server keeps sending deltas, and note how long it was since the last one
+        else if (message.type === 'gameState') {
+            this.stats.recordSnapshot(this.index, now);
+            this.send({ type: 'snapshotAck', seq: message.data.seq });
+        }
+
+        else if (message.type === 'error') {
+            this.stats.recordServerError(message.code);
+        }
+    }
+
+    // Advance one position update: pick keys from the swim pattern, move like the client does, report the position
+    swim() {
+        const dt = POSITION_UPDATE_INTERVAL / 1000;
+        const keys = PATTERNS[this.pattern](this, (Date.now() - this.swimStartedAt) / 1000);
+
+        for (const key of BinaryProtocol.KEYS) {
+            const pressed = Boolean(keys[key]);
+            if (this.keyState[key] !== pressed) {
+                this.keyState[key] = pressed;
+                this.send({ type: 'keyPress', key: key, pressed: pressed });
+            }
+        }
+
+        const speed = this.keyState.Sprint ? MOVE_SPEED * SPRINT_MULTIPLIER : MOVE_SPEED;
+        const velocity = { x: 0, y: Movement.verticalVelocity(this.keyState, this.position.y), z: 0 };
+        if (this.keyState.ArrowUp) velocity.z = -speed;
+        else if (this.keyState.ArrowDown) velocity.z = speed;
+        if (this.keyState.ArrowLeft) velocity.x = -speed;
+        else if (this.keyState.ArrowRight) velocity.x = speed;
+
+        this.position.x += velocity.x * dt;
+        this.position.y = Math.max(MIN_PLAYER_Y, Math.min(MAX_PLAYER_Y, this.position.y + velocity.y * dt));
+        this.position.z += velocity.z * dt;
+
+        this.send({ type: 'movement', position: { ...this.position }, velocity: velocity });
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+        // High-frequency messages go out in binary once negotiated, everything else as JSON
+        const payload = this.wireEncoding === 'binary' && BinaryProtocol.isBinaryType(message.type)
+            ? Buffer.from(BinaryProtocol.encode(message))
+            : JSON.stringify(message);
+        this.socket.send(payload);
+
+        const bytes = typeof payload === 'string' ? Buffer.byteLength(payload) : payload.length;
+        this.stats.recordSent(message.type, bytes);
+        this.stats.recordBotTraffic(this.index, 'out', bytes);
+    }
+}
+
+module.exports = { Bot, PATTERNS };
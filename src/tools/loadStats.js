@@ -0,0 +1,125 @@
+// Underwater Odyssey - Load Test Stats
+// Collects what the bots see (traffic, round trips, disconnects) and turns it into a report
+const ROUND_TRIP_BUCKET_MS = 1; // Round trip histogram resolution
+const ROUND_TRIP_MAX_MS = 5000; // Anything slower lands in the last bucket
+
+class LoadStats {
+    constructor() {
+        this.startedAt = Date.now();
+        this.connecting = 0;
+        this.connected = 0;
+        this.failed = 0; // Bots that never managed to connect
+
+        this.received = new Map(); // Map of message type to {count, bytes}
+        this.sent = new Map(); // Map of message type to {count, bytes}
+        this.bytesPerBot = new Map(); // Map of bot index to {in, out} bytes
+        this.closeCodes = new Map(); // Map of close code to how many bots were disconnected with it
+        this.serverErrors = new Map(); // Map of error code to count
+        this.clientErrors = 0;
+
+        // Ping round trips, timed on the bot's clock, in a fixed-size histogram so long soak runs don't grow memory
+        this.roundTripCounts = new Array(Math.ceil(ROUND_TRIP_MAX_MS / ROUND_TRIP_BUCKET_MS) + 1).fill(0);
+        this.roundTripSamples = 0;
+        this.roundTripSum = 0;
+        this.roundTripMax = 0;
+
+        this.snapshots = 0;
+
+        // Time between snapshots for each bot, to spot a broadcast loop that falls behind
+        this.lastSnapshotAt = new Map(); // Map of bot index to when its last snapshot arrived
+        this.intervalSum = 0;
+        this.intervalSamples = 0;
+        this.intervalMax = 0;
+    }
+
+    recordReceived(type, bytes) {
+        addTraffic(this.received, type, bytes);
+    }
+
+    recordSent(type, bytes) {
+        addTraffic(this.sent, type, bytes);
+    }
+
+    recordBotTraffic(index, direction, bytes) {
+        if (!this.bytesPerBot.has(index)) {
+            this.bytesPerBot.set(index, { in: 0, out: 0 });
+        }
+        this.bytesPerBot.get(index)[direction] += bytes;
+    }
+
+    recordRoundTrip(duration) {
+        const bucket = Math.min(this.roundTripCounts.length - 1, Math.floor(duration / ROUND_TRIP_BUCKET_MS));
+        this.roundTripCounts[bucket]++;
+        this.roundTripSamples++;
+        this.roundTripSum += duration;
+        this.roundTripMax = Math.max(this.roundTripMax, duration);
+    }
+
+    // A gameState arrived: how long since the previous one reached this bot
+    recordSnapshot(index, now) {
+        this.snapshots++;
+        const previous = this.lastSnapshotAt.get(index);
+        if (previous !== undefined) {
+            const interval = now - previous;
+            this.intervalSum += interval;
+            this.intervalSamples++;
+            this.intervalMax = Math.max(this.intervalMax, interval);
+        }
+        this.lastSnapshotAt.set(index, now);
+    }
+
+    recordClose(code) {
+        this.closeCodes.set(code, (this.closeCodes.get(code) || 0) + 1);
+    }
+
+    recordServerError(code) {
+        this.serverErrors.set(code, (this.serverErrors.get(code) || 0) + 1);
+    }
+
+    recordError() {
+        this.clientErrors++;
+    }
+
+    // Round trip at a percentile (0-100), in ms, rounded up to the end of its histogram bucket
+    roundTripPercentile(percentile) {
+        const target = Math.ceil(this.roundTripSamples * percentile / 100);
+        let seen = 0;
+        for (let i = 0; i < this.roundTripCounts.length; i++) {
+            seen += this.roundTripCounts[i];
+            if (seen >= target && seen > 0) return Math.min(this.roundTripMax, (i + 1) * ROUND_TRIP_BUCKET_MS);
+        }
+        return 0;
+    }
+
+    // Bytes per second in and out, per connected bot: {in: {avg, max}, out: {avg, max}}
+    bandwidthPerBot(elapsedSeconds) {
+        const rates = { in: [], out: [] };
+        for (const bytes of this.bytesPerBot.values()) {
+            rates.in.push(bytes.in / elapsedSeconds);
+            rates.out.push(bytes.out / elapsedSeconds);
+        }
+        return {
+            in: summarise(rates.in),
+            out: summarise(rates.out)
+        };
+    }
+}
+
+function addTraffic(table, type, bytes) {
+    if (!table.has(type)) {
+        table.set(type, { count: 0, bytes: 0 });
+    }
+    const entry = table.get(type);
+    entry.count++;
+    entry.bytes += bytes;
+}
+
+function summarise(values) {
+    if (values.length === 0) return { avg: 0, max: 0 };
+    return {
+        avg: values.reduce((total, value) => total + value, 0) / values.length,
+        max: Math.max(...values)
+    };
+}
+
+module.exports = { LoadStats };
@@ -0,0 +1,320 @@
+// Underwater Odyssey - Load Test
+// Connects a crowd of headless bots to a server and reports tick timing, round trips and bandwidth
+//
+//   node src/tools/loadTest.js --bots 50 --duration 300 --pattern mixed --url ws://localhost:3000
+const { parseArgs } = require('util');
+const { Bot, PATTERNS } = require('./bot');
+const { LoadStats } = require('./loadStats');
+
+const OPTIONS = {
+    url: { type: 'string', default: 'ws://localhost:3000' }, // Server to load
+    bots: { type: 'string', default: '10' }, // How many bots to connect
+    duration: { type: 'string', default: '60' }, // How long to run once every bot has connected (seconds)
+    pattern: { type: 'string', default: 'random' }, // Swim pattern, or 'mixed' to give each bot the next one in turn
+    room: { type: 'string' }, // Room to join instead of the default room
+    encoding: { type: 'string', default: 'binary' }, // 'binary' or 'json'
+    ramp: { type: 'string', default: '100' }, // Delay between bot connections (ms), so we don't stampede the server
+    'report-interval': { type: 'string', default: '10' }, // Progress line every this many seconds, 0 for none
+    json: { type: 'boolean', default: false }, // Print the final report as JSON
+    help: { type: 'boolean', default: false }
+};
+
+const USAGE = `Usage: node src/tools/loadTest.js [options]
+
+  --url <ws-url>           Server to connect to (default ws://localhost:3000)
+  --bots <n>               Number of bots (default 10)
+  --duration <seconds>     How long to run after the last bot connects (default 60)
+  --pattern <name>         ${Object.keys(PATTERNS).join(', ')} or mixed (default random)
+  --room <name>            Join this room instead of the default room
+  --encoding <name>        binary or json (default binary)
+  --ramp <ms>              Delay between bot connections (default 100)
+  --report-interval <s>    Seconds between progress lines, 0 to disable (default 10)
+  --json                   Print the final report as JSON
+`;
+
+// Parse and check the command line; exits with the usage text on anything invalid
+function readOptions() {
+    let values;
+    try {
+        values = parseArgs({ options: OPTIONS }).values;
+    } catch (error) {
+        exitWithUsage(error.message);
+    }
+    if (values.help) {
+        process.stdout.write(USAGE);
+        process.exit(0);
+    }
+
+    const options = {
+        url: values.url.replace(/\/+$/, ''),
+        bots: Number(values.bots),
+        duration: Number(values.duration),
+        pattern: values.pattern,
+        room: values.room || null,
+        encoding: values.encoding,
+        ramp: Number(values.ramp),
+        reportInterval: Number(values['report-interval']),
+        json: values.json
+    };
+
+    if (!/^wss?:\/\//.test(options.url)) exitWithUsage('--url must start with ws:// or wss://');
+    if (!Number.isInteger(options.bots) || options.bots < 1) exitWithUsage('--bots must be a positive integer');
+    if (!(options.duration > 0)) exitWithUsage('--duration must be a positive number of seconds');
+    if (options.pattern !== 'mixed' && !PATTERNS[options.pattern]) exitWithUsage(`Unknown --pattern ${options.pattern}`);
+    if (options.encoding !== 'binary' && options.encoding !== 'json') exitWithUsage('--encoding must be binary or json');
+    if (!(options.ramp >= 0)) exitWithUsage('--ramp must be zero or more milliseconds');
+    if (!(options.reportInterval >= 0)) exitWithUsage('--report-interval must be zero or more seconds');
+    return options;
+}
+
+function exitWithUsage(problem) {
+    process.stderr.write(`${problem}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+// Fetch the server's /metrics and parse it into a Map of sample (name plus labels) to {name, labels, value}
+async function scrapeMetrics(url) {
+    const metricsUrl = `${url.replace(/^ws/, 'http')}/metrics`;
+    try {
+        const response = await fetch(metricsUrl, { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) return null;
+        return parseMetrics(await response.text());
+    } catch (error) {
+        return null; // Remote servers may not expose /metrics; the report just leaves server timing out
+    }
+}
+
+function parseMetrics(text) {
+    const samples = new Map();
+    for (const line of text.split('\n')) {
+        const match = /^(\w+)(?:\{(.*)\})? (\S+)$/.exec(line);
+        if (!match) continue;
+
+        const labels = {};
+        for (const [, name, value] of (match[2] || '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+            labels[name] = value;
+        }
+        samples.set(`${match[1]}{${match[2] || ''}}`, { name: match[1], labels, value: Number(match[3]) });
+    }
+    return samples;
+}
+
+// How much a metric grew between two scrapes, summed over the series that match
+function metricDelta(before, after, name, filter = () => true) {
+    let total = 0;
+    for (const [key, sample] of after) {
+        if (sample.name !== name || !filter(sample.labels)) continue;
+        const previous = before.get(key);
+        total += sample.value - (previous ? previous.value : 0); // Rooms opened mid-run start from zero
+    }
+    return total;
+}
+
+// Server-side timing over the run, from the difference between the two scrapes
+function summariseServer(before, after) {
+    if (!before || !after) return null;
+
+    const ticks = metricDelta(before, after, 'odyssey_tick_duration_seconds_count');
+    const tickSeconds = metricDelta(before, after, 'odyssey_tick_duration_seconds_sum');
+
+    // Estimate the 95th percentile tick from the cumulative histogram buckets, across every room
+    const bucketBounds = new Set();
+    for (const sample of after.values()) {
+        if (sample.name === 'odyssey_tick_duration_seconds_bucket' && sample.labels.le !== '+Inf') {
+            bucketBounds.add(Number(sample.labels.le));
+        }
+    }
+    let tickP95 = null;
+    for (const bound of [...bucketBounds].sort((a, b) => a - b)) {
+        const within = metricDelta(before, after, 'odyssey_tick_duration_seconds_bucket', (labels) => Number(labels.le) === bound);
+        if (ticks > 0 && within >= ticks * 0.95) {
+            tickP95 = bound;
+            break;
+        }
+    }
+
+    // Mean time spent in each phase of the tick and broadcast
+    const phases = {};
+    for (const sample of after.values()) {
+        if (sample.name !== 'odyssey_phase_duration_seconds_count' || phases[sample.labels.phase]) continue;
+
+        const phase = sample.labels.phase;
+        const count = metricDelta(before, after, 'odyssey_phase_duration_seconds_count', (labels) => labels.phase === phase);
+        const seconds = metricDelta(before, after, 'odyssey_phase_duration_seconds_sum', (labels) => labels.phase === phase);
+        phases[phase] = { count, meanMs: count > 0 ? seconds / count * 1000 : 0 };
+    }
+
+    const gaugeTotal = (name) => [...after.values()]
+        .filter((sample) => sample.name === name)
+        .reduce((total, sample) => total + sample.value, 0);
+
+    return {
+        ticks,
+        tickMeanMs: ticks > 0 ? tickSeconds / ticks * 1000 : 0,
+        tickP95Ms: tickP95 === null ? null : tickP95 * 1000, // Upper bound of the bucket the 95th percentile falls in
+        tickOverruns: metricDelta(before, after, 'odyssey_tick_overruns'),
+        phases,
+        connectedClients: gaugeTotal('odyssey_connected_clients'),
+        fish: gaugeTotal('odyssey_fish'),
+        loadedChunks: gaugeTotal('odyssey_loaded_chunks'),
+        messagesDropped: metricDelta(before, after, 'odyssey_messages_dropped_total')
+    };
+}
+
+function buildReport(options, stats, server) {
+    const elapsed = (Date.now() - stats.startedAt) / 1000;
+    const table = (traffic) => Object.fromEntries([...traffic.entries()].sort(([a], [b]) => a.localeCompare(b)));
+
+    return {
+        url: options.url,
+        room: options.room,
+        pattern: options.pattern,
+        encoding: options.encoding,
+        elapsedSeconds: elapsed,
+        bots: {
+            requested: options.bots,
+            connected: stats.connected,
+            failed: stats.failed,
+            closedByServer: Object.fromEntries(stats.closeCodes)
+        },
+        roundTripMs: {
+            samples: stats.roundTripSamples,
+            mean: stats.roundTripSamples > 0 ? stats.roundTripSum / stats.roundTripSamples : 0,
+            p50: stats.roundTripPercentile(50),
+            p95: stats.roundTripPercentile(95),
+            p99: stats.roundTripPercentile(99),
+            max: stats.roundTripMax
+        },
+        snapshots: {
+            received: stats.snapshots,
+            intervalMs: {
+                mean: stats.intervalSamples > 0 ? stats.intervalSum / stats.intervalSamples : 0,
+                max: stats.intervalMax
+            }
+        },
+        bandwidthPerBot: stats.bandwidthPerBot(elapsed),
+        received: table(stats.received),
+        sent: table(stats.sent),
+        serverErrors: Object.fromEntries(stats.serverErrors),
+        clientErrors: stats.clientErrors,
+        server
+    };
+}
+
+function printReport(report) {
+    const ms = (value) => `${value.toFixed(1)}ms`;
+    const rate = (bytesPerSecond) => `${(bytesPerSecond / 1024).toFixed(1)} KiB/s`;
+    const lines = [
+        '',
+        `Load test: ${report.bots.requested} bots (${report.pattern}, ${report.encoding}) against ${report.url}` +
+            (report.room ? ` room ${report.room}` : ''),
+        `  Ran for ${report.elapsedSeconds.toFixed(1)}s, ${report.bots.connected} connected at the end, ${report.bots.failed} failed to connect`
+    ];
+
+    const closes = Object.entries(report.bots.closedByServer);
+    if (closes.length > 0) {
+        lines.push(`  Disconnected by the server: ${closes.map(([code, count]) => `${count} x ${code}`).join(', ')}`);
+    }
+
+    const roundTrip = report.roundTripMs;
+    lines.push('', 'Round trip (ping)',
+        `  ${roundTrip.samples} samples, mean ${ms(roundTrip.mean)} p50 ${ms(roundTrip.p50)} ` +
+            `p95 ${ms(roundTrip.p95)} p99 ${ms(roundTrip.p99)} max ${ms(roundTrip.max)}`);
+
+    lines.push('', 'Snapshots',
+        `  ${report.snapshots.received} received, interval mean ${ms(report.snapshots.intervalMs.mean)} ` +
+            `max ${ms(report.snapshots.intervalMs.max)}`);
+
+    lines.push('', 'Bandwidth per bot',
+        `  In  avg ${rate(report.bandwidthPerBot.in.avg)}, max ${rate(report.bandwidthPerBot.in.max)}`,
+        `  Out avg ${rate(report.bandwidthPerBot.out.avg)}, max ${rate(report.bandwidthPerBot.out.max)}`);
+
+    lines.push('', 'Messages');
+    for (const [direction, traffic] of [['in ', report.received], ['out', report.sent]]) {
+        for (const [type, { count, bytes }] of Object.entries(traffic)) {
+            lines.push(`  ${direction} ${type.padEnd(20)} ${String(count).padStart(8)} msgs ${String(bytes).padStart(12)} bytes`);
+        }
+    }
+    if (Object.keys(report.serverErrors).length > 0 || report.clientErrors > 0) {
+        lines.push(`  Errors: ${JSON.stringify(report.serverErrors)} from the server, ${report.clientErrors} on the bots`);
+    }
+
+    if (report.server) {
+        const server = report.server;
+        lines.push('', 'Server',
+            `  ${server.ticks} ticks, mean ${ms(server.tickMeanMs)}, p95 <= ${server.tickP95Ms === null ? '?' : ms(server.tickP95Ms)}, ` +
+                `${server.tickOverruns} overruns`,
+            `  ${server.connectedClients} clients, ${server.fish} fish, ${server.loadedChunks} chunks loaded, ` +
+                `${server.messagesDropped} messages dropped`);
+        for (const [phase, { count, meanMs }] of Object.entries(server.phases)) {
+            lines.push(`  ${phase.padEnd(22)} mean ${ms(meanMs)} over ${count}`);
+        }
+    } else {
+        lines.push('', 'Server', '  /metrics unavailable, no server-side timing');
+    }
+
+    process.stdout.write(lines.join('\n') + '\n');
+}
+
+function printProgress(stats) {
+    const elapsed = (Date.now() - stats.startedAt) / 1000;
+    const bandwidth = stats.bandwidthPerBot(elapsed);
+    process.stdout.write(`[${elapsed.toFixed(0)}s] ${stats.connected} connected, ${stats.connecting} connecting, ` +
+        `${stats.failed} failed | round trip p95 ${stats.roundTripPercentile(95)}ms | ` +
+        `in ${(bandwidth.in.avg / 1024).toFixed(1)} KiB/s/bot\n`);
+}
+
+async function main() {
+    const options = readOptions();
+    const stats = new LoadStats();
+    const patterns = Object.keys(PATTERNS);
+    const bots = [];
+    let finished = false;
+
+    const before = await scrapeMetrics(options.url);
+
+    let progressTimer = null;
+    if (options.reportInterval > 0 && !options.json) {
+        progressTimer = setInterval(() => printProgress(stats), options.reportInterval * 1000);
+    }
+
+    // Stop every bot, take the final scrape and report; Ctrl+C ends the run early but still reports
+    const finish = async () => {
+        if (finished) return;
+        finished = true;
+        clearInterval(progressTimer);
+
+        const after = await scrapeMetrics(options.url);
+        const report = buildReport(options, stats, summariseServer(before, after));
+        for (const bot of bots) {
+            bot.close();
+        }
+
+        if (options.json) {
+            process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+        } else {
+            printReport(report);
+        }
+        process.exit(0);
+    };
+    process.on('SIGINT', finish);
+
+    // Ramp up gradually, then hold for the duration
+    for (let i = 0; i < options.bots && !finished; i++) {
+        const bot = new Bot({
+            index: i,
+            url: options.url,
+            room: options.room,
+            pattern: options.pattern === 'mixed' ? patterns[i % patterns.length] : options.pattern,
+            encoding: options.encoding,
+            stats
+        });
+        bots.push(bot);
+        bot.connect();
+        await new Promise((resolve) => setTimeout(resolve, options.ramp));
+    }
+
+    setTimeout(finish, options.duration * 1000);
+}
+
+main();
@@ -0,0 +1,50 @@
+// Underwater Odyssey - Chunk Manager tests
+const test = require('node:test');
+const assert = require('node:assert');
+const { ChunkManager } = require('../src/server/chunkManager');
+
+// A manager with a zero-radius load area, whose unloads save whatever unloadStates says for that chunk
+function createManager({ maxSavedChunks = 10, unloadStates = {} } = {}) {
+    const loads = [];
+    const manager = new ChunkManager({
+        loadRadius: 0,
+        idleTimeout: 0,
+        maxSavedChunks,
+        onLoad: (chunkX, chunkZ, savedState) => loads.push({ chunkX, chunkZ, savedState }),
+        onUnload: (chunkX, chunkZ) => {
+            const chunkKey = `${chunkX},${chunkZ}`;
+            return chunkKey in unloadStates ? unloadStates[chunkKey] : [chunkKey];
+        }
+    });
+    return { manager, loads };
+}
+
+test('an unloaded chunk gets its saved state back when it loads again', () => {
+    const { manager, loads } = createManager();
+    manager.loadAround(0, 0);
+    manager.update(new Map());
+    manager.loadAround(0, 0);
+
+    assert.deepStrictEqual(loads.map((load) => load.savedState), [null, ['0,0']]);
+    assert.strictEqual(manager.savedChunks.size, 0);
+});
+
+test('a chunk that unloads with nothing to save regenerates', () => {
+    const { manager, loads } = createManager({ unloadStates: { '0,0': null } });
+    manager.loadAround(0, 0);
+    manager.update(new Map());
+
+    assert.strictEqual(manager.savedChunks.size, 0);
+    manager.loadAround(0, 0);
+    assert.strictEqual(loads[1].savedState, null);
+});
+
+test('only the most recently unloaded chunks are remembered', () => {
+    const { manager } = createManager({ maxSavedChunks: 3 });
+    for (let x = 0; x < 5; x++) {
+        manager.loadAround(x, 0);
+        manager.update(new Map());
+    }
+
+    assert.deepStrictEqual([...manager.savedChunks.keys()], ['2,0', '3,0', '4,0']);
+});
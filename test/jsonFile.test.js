@@ -0,0 +1,22 @@
+// Underwater Odyssey - JSON File Storage tests
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../src/server/jsonFile');
+
+test('a written file reads back the same, creating its directory and leaving no temporary file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'odyssey-test-'));
+    const filePath = path.join(directory, 'nested', 'store.json');
+
+    try {
+        assert.strictEqual(readJsonFile(filePath), null);
+
+        writeJsonFile(filePath, { rooms: [{ name: 'main', seed: 42 }] }, 2);
+        assert.deepStrictEqual(readJsonFile(filePath), { rooms: [{ name: 'main', seed: 42 }] });
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['store.json']);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,47 @@
+// Underwater Odyssey - Oxygen tests
+const test = require('node:test');
+const assert = require('node:assert');
+const Movement = require('../src/shared/movement');
+const { OxygenSupply, MAX_OXYGEN } = require('../src/server/oxygen');
+
+const DT = 0.05; // One server tick
+const IDLE_KEYS = { ArrowUp: false, ArrowDown: false, ArrowLeft: false, ArrowRight: false, Ascend: false, Dive: false, Sprint: false };
+
+// Run a diver for a number of seconds, moving them by their keys like the server does; returns {y, oxygen, blackedOut}
+function simulate({ startY, keys, seconds }) {
+    const oxygenSupply = new OxygenSupply();
+    oxygenSupply.addPlayer(1);
+    const position = { x: 0, y: startY, z: 0 };
+
+    for (let tick = 0; tick < seconds / DT; tick++) {
+        const velocityY = Movement.verticalVelocity(keys, position.y);
+        position.y = Math.max(Movement.MIN_PLAYER_Y, Math.min(Movement.MAX_PLAYER_Y, position.y + velocityY * DT));
+
+        const blackedOut = oxygenSupply.update(new Map([[1, position]]), new Map([[1, keys]]), DT);
+        if (blackedOut.length > 0) {
+            return { y: position.y, oxygen: 0, blackedOut: true };
+        }
+    }
+    return { y: position.y, oxygen: oxygenSupply.getOxygen(1), blackedOut: false };
+}
+
+test('a diver idling at neutral buoyancy never runs out of air', () => {
+    const result = simulate({ startY: Movement.NEUTRAL_BUOYANCY_Y, keys: IDLE_KEYS, seconds: 600 });
+
+    assert.strictEqual(result.blackedOut, false);
+    assert.strictEqual(result.oxygen, MAX_OXYGEN);
+});
+
+test('a diver who stops swimming at depth floats up and refills before running out', () => {
+    const result = simulate({ startY: 0, keys: IDLE_KEYS, seconds: 600 });
+
+    assert.strictEqual(result.blackedOut, false);
+    assert.strictEqual(result.oxygen, MAX_OXYGEN);
+    assert.ok(Math.abs(result.y - Movement.NEUTRAL_BUOYANCY_Y) < 0.01);
+});
+
+test('a diver who holds themselves down on the sea floor still runs out of air', () => {
+    const result = simulate({ startY: 0, keys: { ...IDLE_KEYS, Dive: true }, seconds: 600 });
+
+    assert.strictEqual(result.blackedOut, true);
+});
@@ -0,0 +1,60 @@
+// Underwater Odyssey - Session Store tests
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const Protocol = require('../src/shared/protocol');
+const { SessionStore } = require('../src/server/sessions');
+const { PlayerStore } = require('../src/server/playerStore');
+const { Room } = require('../src/server/room');
+
+// Stands in for a connected WebSocket, recording what the room does with it
+function fakeSocket() {
+    return {
+        sent: [],
+        closeCode: null,
+        send(data) {
+            this.sent.push(data);
+        },
+        close(code) {
+            this.closeCode = code;
+        }
+    };
+}
+
+test('a suspended session can be resumed once', () => {
+    const sessions = new SessionStore(60000);
+    const token = sessions.createToken();
+
+    sessions.suspend(token, { clientId: 1 }, () => {});
+    assert.deepStrictEqual(sessions.resume(token), { clientId: 1 });
+    assert.strictEqual(sessions.resume(token), null);
+});
+
+test('a kicked player cannot resume their session', () => {
+    const sessions = new SessionStore(60000);
+    const playerStore = new PlayerStore(path.join(os.tmpdir(), 'odyssey-test-players.json'));
+    const room = new Room({ name: 'test', seed: 1, key: null, playerStore, sessionStore: sessions });
+
+    const ws = fakeSocket();
+    const token = sessions.createToken();
+    const profile = playerStore.getOrCreate(null);
+    room.addPlayer(ws, {
+        clientId: 1,
+        sessionToken: token,
+        profile,
+        encoding: 'json',
+        position: { x: 0, y: 0, z: 0 },
+        velocity: { x: 0, y: 0, z: 0 }
+    });
+
+    assert.strictEqual(room.kickPlayer(1, 'Testing'), true);
+    assert.strictEqual(ws.closeCode, Protocol.CLOSE_CODES.kicked);
+
+    // What the server does when the socket closes: take the player out and park their session
+    const state = room.removePlayer(ws);
+    sessions.suspend(token, { clientId: 1, roomName: room.name, ...state }, () => {});
+
+    assert.strictEqual(sessions.resume(token), null);
+    assert.strictEqual(sessions.suspended.size, 0);
+});